@@ -0,0 +1,28 @@
+// Built-in departments and academic years, created on startup when missing.
+// After that they are managed through /api/departments. `aliases` are older
+// names still found on stored documents; scripts/migrateDepartments.js maps
+// them onto the canonical name.
+const DEFAULT_DEPARTMENTS = [
+  { name: 'Civil Engineering', code: 'CIV', aliases: [] },
+  { name: 'Mechanical Engineering', code: 'MECH', aliases: [] },
+  { name: 'Information Science Engineering', code: 'ISE', aliases: ['Information Technology'] },
+  { name: 'Computer Science Engineering', code: 'CSE', aliases: ['Computer Science'] },
+  { name: 'Electronics and Communication Engineering', code: 'ECE', aliases: ['Electronics & Communication'] },
+  { name: 'Electricals and Electronics Engineering', code: 'EEE', aliases: ['Electrical Engineering'] }
+];
+
+const DEFAULT_ACADEMIC_YEARS = [
+  { name: '1st Year', order: 1 },
+  { name: '2nd Year', order: 2 },
+  { name: '3rd Year', order: 3 },
+  { name: '4th Year', order: 4 }
+];
+
+// Events open to every department use this in place of a department name
+const ALL_DEPARTMENTS = 'All Departments';
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  DEFAULT_ACADEMIC_YEARS,
+  ALL_DEPARTMENTS
+};
@@ -0,0 +1,61 @@
+// Named permissions checked by `requirePermission` in middleware/auth.js
+const PERMISSIONS = {
+  'events:create': 'Create events',
+  'events:update': 'Edit events',
+  'events:delete': 'Delete events',
+  'events:approve': 'Review student event proposals',
+  'points:award': 'Award points for event participation',
+  'points:adjust': 'Add or remove points by hand, outside any event',
+  'events:checkin': 'Show check-in codes, check participants in and record no-shows',
+  'achievements:manage': 'Create, edit and delete achievements',
+  'users:read': 'List users',
+  'users:manage': 'Edit and deactivate users',
+  'users:stats': 'View user statistics',
+  'security:manage': 'Unlock accounts, reset two-factor and review login attempts',
+  'invites:manage': 'Invite staff accounts',
+  'roles:manage': 'Manage role definitions and assign roles',
+  'departments:manage': 'Manage departments and academic years',
+  'apikeys:manage': 'Issue, rotate and revoke API keys'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles created on startup. Their permissions can be changed through
+// the roles API (except admin, which always has everything) but they can't be deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'student',
+    description: 'Students taking part in events',
+    permissions: []
+  },
+  {
+    name: 'faculty',
+    description: 'Faculty members running events for their classes',
+    permissions: ['events:create', 'events:update', 'events:checkin', 'points:award']
+  },
+  {
+    name: 'coordinator',
+    description: 'Faculty coordinators managing events and points',
+    permissions: [
+      'events:create',
+      'events:update',
+      'events:delete',
+      'events:approve',
+      'events:checkin',
+      'points:award',
+      'users:read',
+      'users:stats'
+    ]
+  },
+  {
+    name: 'admin',
+    description: 'Full administrative access',
+    permissions: ALL_PERMISSIONS
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES
+};
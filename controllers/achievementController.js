@@ -1,6 +1,7 @@
 const Achievement = require('../models/Achievement');
 const User = require('../models/User');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { evaluateAchievements } = require('../utils/achievements');
 
 // @desc    Get all achievements
 // @route   GET /api/achievements
@@ -186,37 +187,12 @@ const deleteAchievement = asyncHandler(async (req, res) => {
 // @route   POST /api/achievements/check
 // @access  Private
 const checkUserAchievements = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user.id);
-  const achievements = await Achievement.find({ isActive: true });
-  
-  const newAchievements = [];
-  
-  for (const achievement of achievements) {
-    // Check if user already has this achievement
-    const hasAchievement = user.achievements.some(
-      userAchievement => userAchievement.achievementId.toString() === achievement._id.toString()
-    );
-    
-    if (!hasAchievement && achievement.checkEligibility(user)) {
-      // Award achievement
-      user.achievements.push({
-        achievementId: achievement._id,
-        points: achievement.points
-      });
-      
-      user.totalPoints += achievement.points;
-      user.level = user.calculateLevel();
-      
-      newAchievements.push({
-        achievement,
-        points: achievement.points
-      });
-    }
-  }
-  
-  if (newAchievements.length > 0) {
-    await user.save();
-  }
+  // Achievements are evaluated automatically; this re-runs the same check on demand
+  const { awarded } = await evaluateAchievements(req.user.id);
+  const newAchievements = awarded.map(achievement => ({
+    achievement,
+    points: achievement.points
+  }));
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('../utils/tokens');
+const { getRolePermissions } = require('../utils/permissions');
+
+// Keys look like mce_<prefix>_<secret>; only the SHA-256 hash is stored
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `mce_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+  return { key, prefix: `mce_${prefix}`, keyHash: hashToken(key) };
+};
+
+// @desc    Create API key (Admin only)
+// @route   POST /api/apikeys
+// @access  Private/Admin
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  // A key can never do more than the admin issuing it
+  const granted = await getRolePermissions(req.user.role);
+  const missing = scopes.filter(scope => !granted.includes(scope));
+  if (missing.length > 0) {
+    throw new AppError(`You cannot grant scopes you don't hold: ${missing.join(', ')}`, 403);
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt: expiresAt || null,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again',
+    key,
+    data: apiKey
+  });
+});
+
+// @desc    Get all API keys (Admin only)
+// @route   GET /api/apikeys
+// @access  Private/Admin
+const getApiKeys = asyncHandler(async (req, res) => {
+  const query = {};
+
+  if (req.query.includeRevoked !== 'true') {
+    query.revokedAt = null;
+  }
+
+  const apiKeys = await ApiKey.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys
+  });
+});
+
+// @desc    Rotate API key secret (Admin only)
+// @route   POST /api/apikeys/:id/rotate
+// @access  Private/Admin
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || apiKey.revokedAt) {
+    throw new AppError('API key not found', 404);
+  }
+
+  // The old secret stops working as soon as the new one is issued
+  const { key, prefix, keyHash } = generateApiKey();
+  apiKey.prefix = prefix;
+  apiKey.keyHash = keyHash;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'API key rotated. Copy it now, it will not be shown again',
+    key,
+    data: apiKey
+  });
+});
+
+// @desc    Revoke API key (Admin only)
+// @route   DELETE /api/apikeys/:id
+// @access  Private/Admin
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey || apiKey.revokedAt) {
+    throw new AppError('API key not found', 404);
+  }
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked successfully'
+  });
+});
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  rotateApiKey,
+  revokeApiKey
+};
@@ -1,19 +1,48 @@
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+  hashToken,
+  generateTwoFactorToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { sendEmail, escapeHtml } = require('../utils/mail');
+const { recordActivity } = require('../utils/streaks');
+const { getFailureState, recordAttempt, registerFailure, clearFailures, lockedMessage } = require('../utils/loginGuard');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Hashed with the same cost as real passwords, on first use
+let dummyHash = null;
+const getDummyHash = async () => {
+  if (!dummyHash) {
+    dummyHash = await bcrypt.hash('no-such-account', await bcrypt.genSalt(12));
+  }
+  return dummyHash;
+};
+
+// Email a fresh verification link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your MCE Student Portal email',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please <a href="${verifyUrl}">confirm your email address</a>.</p>`
   });
 };
 
-// @desc    Register user
+// @desc    Register student
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
-  const { name, email, password, role, studentId, department, year } = req.body;
+  const { name, email, password, studentId, department, year } = req.body;
 
   // Check if user exists
   const userExists = await User.findOne({ email });
@@ -21,32 +50,40 @@ const register = asyncHandler(async (req, res) => {
     throw new AppError('User already exists with this email', 400);
   }
 
-  // Check if studentId exists (for students)
-  if (role === 'student' && studentId) {
+  // Check if studentId exists
+  if (studentId) {
     const studentExists = await User.findOne({ studentId });
     if (studentExists) {
       throw new AppError('Student ID already exists', 400);
     }
   }
 
-  // Create user
+  // Create user - public registration is always a student account
   const user = await User.create({
     name,
     email,
     password,
-    role,
+    role: 'student',
     studentId,
     department,
     year
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  // A failed send shouldn't block registration; the user can ask for a resend
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Verification email could not be sent:', error.message);
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(201).json({
     success: true,
-    message: 'User registered successfully',
+    message: 'User registered successfully. Please check your email to verify your account',
     token,
+    refreshToken,
     user: user.getProfile()
   });
 });
@@ -64,8 +101,28 @@ const login = asyncHandler(async (req, res) => {
 
   // Check for user (include password for comparison)
   const user = await User.findOne({ email }).select('+password');
-  
-  if (!user) {
+
+  // Locked accounts are rejected before the password is even checked
+  const { failures, lockUntil } = await getFailureState(email, user);
+  if (lockUntil) {
+    await recordAttempt(email, user, req, 'locked');
+    throw new AppError(lockedMessage(lockUntil), 429);
+  }
+
+  // Check password. Unknown emails are checked against a dummy hash so the
+  // response takes as long and doesn't reveal whether the account exists.
+  let isMatch = false;
+  if (user) {
+    isMatch = await user.matchPassword(password);
+  } else {
+    await bcrypt.compare(password, await getDummyHash());
+  }
+
+  if (!isMatch) {
+    const lockedUntil = await registerFailure(email, user, req, failures);
+    if (lockedUntil) {
+      throw new AppError(lockedMessage(lockedUntil), 429);
+    }
     throw new AppError('Invalid credentials', 401);
   }
 
@@ -74,24 +131,30 @@ const login = asyncHandler(async (req, res) => {
     throw new AppError('Account has been deactivated', 401);
   }
 
-  // Check password
-  const isMatch = await user.matchPassword(password);
-  
-  if (!isMatch) {
-    throw new AppError('Invalid credentials', 401);
+  // Hold back the real tokens until the second factor checks out
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      twoFactorRequired: true,
+      twoFactorToken: generateTwoFactorToken(user)
+    });
   }
 
   // Update last login
+  clearFailures(user);
   user.lastLogin = new Date();
   await user.save();
+  await recordActivity(user._id, 'login');
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     token,
+    refreshToken,
     user: user.getProfile()
   });
 });
@@ -116,7 +179,8 @@ const updateDetails = asyncHandler(async (req, res) => {
     name: req.body.name,
     email: req.body.email,
     department: req.body.department,
-    year: req.body.year
+    year: req.body.year,
+    timezone: req.body.timezone // Streak days are counted in it from now on
   };
 
   // Remove undefined fields
@@ -124,11 +188,21 @@ const updateDetails = asyncHandler(async (req, res) => {
     fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
   );
 
+  // A new address has to be verified again
+  const emailChanged = fieldsToUpdate.email && fieldsToUpdate.email !== req.user.email;
+  if (emailChanged) {
+    fieldsToUpdate.isEmailVerified = false;
+  }
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
   });
 
+  if (emailChanged) {
+    await sendVerificationEmail(user);
+  }
+
   res.status(200).json({
     success: true,
     message: 'User details updated successfully',
@@ -150,19 +224,227 @@ const updatePassword = asyncHandler(async (req, res) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  const token = generateToken(user._id);
+  // End every existing session, then sign the current client back in
+  await revokeUserSessions(user._id);
+  user.tokenVersion += 1;
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Password updated successfully',
-    token
+    token,
+    refreshToken
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(req.params.token),
+    emailVerificationExpire: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new AppError('Verification token is invalid or has expired', 400);
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
   });
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    throw new AppError('Email could not be sent', 500);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Send password reset email
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email });
+
+  // Respond identically whether or not the account exists
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  };
+
+  if (!user || !user.isActive) {
+    return res.status(200).json(response);
+  }
+
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${resetToken}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your MCE Student Portal password',
+      text: `Hi ${user.name},\n\nWe received a request to reset your password. ` +
+        `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+        'If you did not request this, you can ignore this email.',
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. ` +
+        `<a href="${resetUrl}">Choose a new password</a>.</p>` +
+        '<p>If you did not request this, you can ignore this email.</p>'
+    });
+  } catch (error) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new AppError('Email could not be sent', 500);
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Reset password using emailed token
+// @route   PUT /api/auth/resetpassword/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    resetPasswordToken: hashToken(req.params.token),
+    resetPasswordExpire: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new AppError('Reset token is invalid or has expired', 400);
+  }
+
+  user.password = req.body.password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  // Proving control of the inbox lifts any lockout from the old password
+  clearFailures(user);
+  await user.save();
+
+  // Whoever requested the reset may not be the only one holding a session
+  await revokeUserSessions(user._id);
+  user.tokenVersion += 1;
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully',
+    token,
+    refreshToken
+  });
+});
+
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    token,
+    refreshToken
+  });
+});
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.getActiveForUser(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeOwnSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
+
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await revokeSession(session._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    _id: { $ne: req.authSession._id }
+  }).select('_id');
+
+  for (const session of sessions) {
+    await revokeSession(session._id);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Revoked ${sessions.length} other session${sessions.length === 1 ? '' : 's'}`,
+    count: sessions.length
+  });
+});
+
+// @desc    Logout user and revoke all of their sessions
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
+  await revokeUserSessions(req.user._id);
+
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
@@ -175,5 +457,13 @@ module.exports = {
   getMe,
   updateDetails,
   updatePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  getSessions,
+  revokeOwnSession,
+  revokeOtherSessions,
   logout
 };
@@ -0,0 +1,102 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('../utils/tokens');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
+const { resolveDepartment } = require('../utils/departments');
+
+// How far back the personal feed keeps past events
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 90;
+
+const feedBaseUrl = (req) => {
+  return `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/calendar/feed`;
+};
+
+// Calendar apps can't send a bearer token, so feeds authenticate with the secret in the URL
+const findUserByCalendarToken = async (token) => {
+  const user = await User.findOne({ calendarToken: hashToken(token), isActive: true });
+
+  if (!user) {
+    throw new AppError('Calendar feed not found', 404);
+  }
+
+  return user;
+};
+
+// @desc    Create (or replace) the calendar subscription token
+// @route   POST /api/calendar/token
+// @access  Private
+const createCalendarToken = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  // Any previously shared feed URL stops working
+  const calendarToken = user.getCalendarToken();
+  await user.save({ validateBeforeSave: false });
+
+  const baseUrl = feedBaseUrl(req);
+  // Link the department under the name the department feed looks up
+  const department = await resolveDepartment(req.user.department);
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Keep this URL private; anyone with it can read your schedule',
+    data: {
+      feedUrl: `${baseUrl}/${calendarToken}.ics`,
+      departmentFeedUrl: department
+        ? `${baseUrl}/${calendarToken}/department/${encodeURIComponent(department)}.ics`
+        : null
+    }
+  });
+});
+
+// @desc    Revoke the calendar subscription token
+// @route   DELETE /api/calendar/token
+// @access  Private
+const revokeCalendarToken = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed revoked'
+  });
+});
+
+// @desc    Calendar of events the user registered for
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (calendar token)
+const getUserFeed = asyncHandler(async (req, res) => {
+  const user = await findUserByCalendarToken(req.params.token);
+  const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+  // Deleted and cancelled events stay in the feed so clients mark them cancelled
+  const events = await Event.find({
+    'participants.userId': user._id,
+    date: { $gte: since }
+  }).sort({ date: 1 });
+
+  sendCalendar(res, buildCalendar(events, { name: `MCE Events - ${user.name}` }));
+});
+
+// @desc    Calendar of a department's events
+// @route   GET /api/calendar/feed/:token/department/:department.ics
+// @access  Public (calendar token)
+const getDepartmentFeed = asyncHandler(async (req, res) => {
+  await findUserByCalendarToken(req.params.token);
+
+  // Feed URLs handed out before departments were renamed keep working
+  const department = await resolveDepartment(req.params.department);
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
+  const events = await Event.getEventsByDepartment(department);
+
+  sendCalendar(res, buildCalendar(events, { name: `MCE Events - ${department}` }));
+});
+
+module.exports = {
+  createCalendarToken,
+  revokeCalendarToken,
+  getUserFeed,
+  getDepartmentFeed
+};
@@ -0,0 +1,218 @@
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { clearDepartmentCache, resolveDepartment } = require('../utils/departments');
+const { renameDepartmentReferences, renameAcademicYearReferences } = require('../utils/departmentReferences');
+
+// A name or former name may only ever point at one department
+const assertNamesAvailable = async (names, department = null) => {
+  for (const name of names) {
+    const owner = await resolveDepartment(name);
+    if (owner && (!department || owner !== department.name)) {
+      throw new AppError(`"${name}" is already used by ${owner}`, 400);
+    }
+  }
+};
+
+// @desc    Get departments
+// @route   GET /api/departments
+// @access  Public
+const getDepartments = asyncHandler(async (req, res) => {
+  const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+  const departments = await Department.find(query).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: departments.length,
+    data: departments
+  });
+});
+
+// @desc    Create department
+// @route   POST /api/departments
+// @access  Private/Admin
+const createDepartment = asyncHandler(async (req, res) => {
+  const aliases = req.body.aliases || [];
+  await assertNamesAvailable([req.body.name, ...aliases]);
+
+  const department = await Department.create({
+    name: req.body.name,
+    code: req.body.code,
+    aliases
+  });
+  clearDepartmentCache();
+
+  res.status(201).json({
+    success: true,
+    message: 'Department created successfully',
+    data: department
+  });
+});
+
+// @desc    Update department (a rename is applied to every record, the old name becomes an alias)
+// @route   PUT /api/departments/:id
+// @access  Private/Admin
+const updateDepartment = asyncHandler(async (req, res) => {
+  const department = await Department.findById(req.params.id);
+
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
+  const previousName = department.name;
+  const renamed = req.body.name !== undefined && req.body.name !== previousName;
+
+  if (req.body.aliases !== undefined) {
+    await assertNamesAvailable(req.body.aliases, department);
+    department.aliases = req.body.aliases;
+  }
+
+  if (renamed) {
+    await assertNamesAvailable([req.body.name], department);
+    department.name = req.body.name;
+    department.aliases.addToSet(previousName);
+  }
+
+  if (req.body.code !== undefined) {
+    department.code = req.body.code;
+  }
+
+  if (req.body.isActive !== undefined) {
+    department.isActive = req.body.isActive;
+  }
+
+  await department.save();
+  clearDepartmentCache();
+
+  const recordsUpdated = renamed ? await renameDepartmentReferences(previousName, department.name) : 0;
+
+  res.status(200).json({
+    success: true,
+    message: 'Department updated successfully',
+    recordsUpdated,
+    data: department
+  });
+});
+
+// @desc    Deactivate department (existing records keep it, new ones can't choose it)
+// @route   DELETE /api/departments/:id
+// @access  Private/Admin
+const deleteDepartment = asyncHandler(async (req, res) => {
+  const department = await Department.findById(req.params.id);
+
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
+  department.isActive = false;
+  await department.save();
+  clearDepartmentCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Department deactivated successfully'
+  });
+});
+
+// @desc    Get academic years
+// @route   GET /api/departments/years
+// @access  Public
+const getAcademicYears = asyncHandler(async (req, res) => {
+  const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+  const years = await AcademicYear.find(query).sort({ order: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: years.length,
+    data: years
+  });
+});
+
+// @desc    Create academic year
+// @route   POST /api/departments/years
+// @access  Private/Admin
+const createAcademicYear = asyncHandler(async (req, res) => {
+  const yearExists = await AcademicYear.findOne({ name: req.body.name });
+  if (yearExists) {
+    throw new AppError('Academic year already exists', 400);
+  }
+
+  const year = await AcademicYear.create({
+    name: req.body.name,
+    order: req.body.order
+  });
+  clearDepartmentCache();
+
+  res.status(201).json({
+    success: true,
+    message: 'Academic year created successfully',
+    data: year
+  });
+});
+
+// @desc    Update academic year (a rename is applied to every record)
+// @route   PUT /api/departments/years/:id
+// @access  Private/Admin
+const updateAcademicYear = asyncHandler(async (req, res) => {
+  const year = await AcademicYear.findById(req.params.id);
+
+  if (!year) {
+    throw new AppError('Academic year not found', 404);
+  }
+
+  const previousName = year.name;
+  const renamed = req.body.name !== undefined && req.body.name !== previousName;
+
+  if (renamed && await AcademicYear.exists({ name: req.body.name })) {
+    throw new AppError('Academic year already exists', 400);
+  }
+
+  ['name', 'order', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      year[field] = req.body[field];
+    }
+  });
+
+  await year.save();
+  clearDepartmentCache();
+
+  const recordsUpdated = renamed ? await renameAcademicYearReferences(previousName, year.name) : 0;
+
+  res.status(200).json({
+    success: true,
+    message: 'Academic year updated successfully',
+    recordsUpdated,
+    data: year
+  });
+});
+
+// @desc    Deactivate academic year
+// @route   DELETE /api/departments/years/:id
+// @access  Private/Admin
+const deleteAcademicYear = asyncHandler(async (req, res) => {
+  const year = await AcademicYear.findById(req.params.id);
+
+  if (!year) {
+    throw new AppError('Academic year not found', 404);
+  }
+
+  year.isActive = false;
+  await year.save();
+  clearDepartmentCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Academic year deactivated successfully'
+  });
+});
+
+module.exports = {
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  getAcademicYears,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear
+};
@@ -1,6 +1,35 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { eventScopeFilter, assertEventDepartmentInScope, assertUserInScope } = require('../utils/scope');
+const { ensureCheckInSecret, generateCheckIn, verifyCheckIn } = require('../utils/checkIn');
+const { processWaitlist } = require('../utils/waitlist');
+const participation = require('../utils/participation');
+const { ALLOWED_TRANSITIONS, canTransition, transitionEvent } = require('../utils/eventLifecycle');
+const { updateFutureOccurrences, findOccurrencesToCancel, cancelOccurrences } = require('../utils/series');
+const cancellation = require('../utils/cancellation');
+const { buildCalendar, sendCalendar } = require('../utils/ical');
+const { resolveDepartment } = require('../utils/departments');
+
+// Proposals are only visible to their author and to reviewers until approved
+const canViewEvent = async (user, event) => {
+  if (event.isApproved()) {
+    return true;
+  }
+
+  const authorId = event.createdBy._id || event.createdBy;
+  return authorId.toString() === user.id || await hasPermission(user, 'events:approve');
+};
+
+// Achievements as they are shown to the student who just earned them
+const formatAchievements = (achievements) => {
+  return achievements.map(achievement => ({
+    title: achievement.title,
+    description: achievement.description,
+    points: achievement.points
+  }));
+};
 
 // @desc    Get all events
 // @route   GET /api/events
@@ -11,11 +40,19 @@ const getEvents = asyncHandler(async (req, res) => {
   const skip = (page - 1) * limit;
 
   // Build query
-  const query = { isActive: true };
+  const query = Event.approvedOnly({ isActive: true });
   
   if (req.query.department) {
     query.department = { $in: [req.query.department, 'All Departments'] };
   }
+
+  // Event managers only see the events in their department scope
+  if (await hasPermission(req.user, 'events:update')) {
+    const scope = eventScopeFilter(req.user);
+    if (scope.department) {
+      query.$and = [{ department: scope.department }];
+    }
+  }
   
   if (req.query.type) {
     query.type = req.query.type;
@@ -62,7 +99,11 @@ const getUpcomingEvents = asyncHandler(async (req, res) => {
 // @route   GET /api/events/department/:department
 // @access  Private
 const getEventsByDepartment = asyncHandler(async (req, res) => {
-  const { department } = req.params;
+  const department = await resolveDepartment(req.params.department);
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
   const { status } = req.query;
   
   const events = await Event.getEventsByDepartment(department, status);
@@ -82,7 +123,7 @@ const getEvent = asyncHandler(async (req, res) => {
     .populate('createdBy', 'name email')
     .populate('participants.userId', 'name studentId department');
 
-  if (!event) {
+  if (!event || !(await canViewEvent(req.user, event))) {
     throw new AppError('Event not found', 404);
   }
 
@@ -92,13 +133,30 @@ const getEvent = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Download a single event as an iCalendar file
+// @route   GET /api/events/:id/ics
+// @access  Private
+const getEventCalendar = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event || !(await canViewEvent(req.user, event))) {
+    throw new AppError('Event not found', 404);
+  }
+
+  sendCalendar(res, buildCalendar([event]), `event-${event._id}.ics`);
+});
+
 // @desc    Create new event (Admin only)
 // @route   POST /api/events
 // @access  Private/Admin
 const createEvent = asyncHandler(async (req, res) => {
+  assertEventDepartmentInScope(req.user, req.body.department);
+
   const eventData = {
     ...req.body,
-    createdBy: req.user.id
+    createdBy: req.user.id,
+    approvalStatus: 'approved',
+    reviewHistory: []
   };
 
   const event = await Event.create(eventData);
@@ -122,6 +180,19 @@ const updateEvent = asyncHandler(async (req, res) => {
     throw new AppError('Event not found', 404);
   }
 
+  assertEventDepartmentInScope(req.user, event.department);
+  if (req.body.department !== undefined) {
+    assertEventDepartmentInScope(req.user, req.body.department);
+  }
+
+  // Checked before anything is saved so a rejected status leaves the event as it was
+  if (req.body.status !== undefined && req.body.status !== event.status &&
+      !canTransition(event.status, req.body.status)) {
+    throw new AppError(`Event status cannot change from ${event.status} to ${req.body.status}`, 400, {
+      allowed: ALLOWED_TRANSITIONS[event.status]
+    });
+  }
+
   const fieldsToUpdate = {
     title: req.body.title,
     description: req.body.description,
@@ -129,20 +200,58 @@ const updateEvent = asyncHandler(async (req, res) => {
     points: req.body.points,
     department: req.body.department,
     date: req.body.date,
-    status: req.body.status,
-    maxParticipants: req.body.maxParticipants
+    startAt: req.body.startAt,
+    endAt: req.body.endAt,
+    registrationDeadline: req.body.registrationDeadline,
+    maxParticipants: req.body.maxParticipants,
+    eligibility: req.body.eligibility
   };
 
+  // Team settings are merged, so one of them can be changed on its own
+  const teamSettings = req.body.teamSettings || {};
+  Object.keys(teamSettings).forEach(key => {
+    fieldsToUpdate[`teamSettings.${key}`] = teamSettings[key];
+  });
+
   // Remove undefined fields
   Object.keys(fieldsToUpdate).forEach(key => 
     fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
   );
 
-  const updatedEvent = await Event.findByIdAndUpdate(
-    req.params.id,
-    fieldsToUpdate,
-    { new: true, runValidators: true }
-  ).populate('createdBy', 'name email');
+  // Switching between individual and team registration would strand existing registrations
+  if (teamSettings.enabled !== undefined && teamSettings.enabled !== event.teamSettings.enabled &&
+      event.participants.length > 0) {
+    throw new AppError('Team registration cannot be switched on or off once people have registered', 400);
+  }
+
+  // Series occurrences can be edited alone or together with all later ones
+  const editScope = req.body.scope || 'this';
+  if (editScope === 'future') {
+    if (!event.series) {
+      throw new AppError('Only events in a series can be edited with scope "future"', 400);
+    }
+
+    await updateFutureOccurrences(event, fieldsToUpdate);
+  } else {
+    // Saving the document keeps the schedule consistent and bumps its version,
+    // so in-flight registrations retry against the new capacity
+    event.set(fieldsToUpdate);
+    await event.save();
+  }
+
+  // A status change goes through the lifecycle so its hooks run
+  if (req.body.status !== undefined && req.body.status !== event.status) {
+    if (req.body.status === 'cancelled') {
+      // Cancelling takes back the points the event gave out
+      await cancellation.cancelEvent(event, { cancelledBy: req.user.id });
+    } else {
+      await transitionEvent(event._id, event.status, req.body.status);
+    }
+  }
+
+  // Raised capacity frees seats for the waitlist
+  const { event: updatedEvent } = await processWaitlist(req.params.id);
+  await updatedEvent.populate('createdBy', 'name email');
 
   res.status(200).json({
     success: true,
@@ -161,97 +270,326 @@ const deleteEvent = asyncHandler(async (req, res) => {
     throw new AppError('Event not found', 404);
   }
 
+  assertEventDepartmentInScope(req.user, event.department);
+
+  // A cancelled event has already been compensated
+  const needsCompensation = event.status !== 'cancelled';
+
+  if (req.query.dryRun) {
+    const impact = needsCompensation ? await cancellation.previewCancellation([event]) : [];
+
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      message: 'Nothing has been changed. Repeat without dryRun to delete the event',
+      data: impact
+    });
+  }
+
   // Soft delete - set isActive to false
   event.isActive = false;
   await event.save();
 
+  // Points for an event that no longer exists are taken back
+  const summary = needsCompensation ? await cancellation.compensateEvent(event._id, { actor: req.user.id }) : null;
+
   res.status(200).json({
     success: true,
-    message: 'Event deleted successfully'
+    message: 'Event deleted successfully',
+    data: summary
   });
 });
 
-// @desc    Participate in event
+// @desc    Cancel an event, or an occurrence and all later ones in its series
+// @route   POST /api/events/:id/cancel
+// @access  Private/Admin
+const cancelEvent = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  // Completed events can be cancelled too, which takes back the points they gave out
+  if (!canTransition(event.status, 'cancelled')) {
+    throw new AppError('Event is already cancelled', 400);
+  }
+
+  const cancelScope = req.body.scope || 'this';
+  if (cancelScope === 'future' && !event.series) {
+    throw new AppError('Only events in a series can be cancelled with scope "future"', 400);
+  }
+
+  // Show the impact first so the admin can confirm
+  if (req.body.dryRun) {
+    const targets = await findOccurrencesToCancel(event, cancelScope);
+    const impact = await cancellation.previewCancellation(targets);
+
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      message: 'Nothing has been changed. Repeat without dryRun to cancel',
+      count: impact.length,
+      data: impact
+    });
+  }
+
+  const cancelled = await cancelOccurrences(event, cancelScope, {
+    reason: req.body.reason,
+    cancelledBy: req.user.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Cancelled ${cancelled.length} event${cancelled.length === 1 ? '' : 's'}`,
+    count: cancelled.length,
+    data: cancelled.map(result => ({
+      _id: result.event._id,
+      title: result.event.title,
+      startAt: result.event.startAt,
+      usersAffected: result.usersAffected,
+      pointsReversed: result.pointsReversed,
+      achievementsRevoked: result.achievementsRevoked,
+      notified: result.notified
+    }))
+  });
+});
+
+// @desc    Register for event (reserves a seat, points are credited at check-in)
 // @route   POST /api/events/:id/participate
 // @access  Private
 const participateInEvent = asyncHandler(async (req, res) => {
+  const result = await participation.registerParticipant(req.params.id, req.user.id);
+
+  const newAchievements = formatAchievements(result.newAchievements);
+
+  if (result.status === 'waitlisted') {
+    return res.status(202).json({
+      success: true,
+      waitlisted: true,
+      message: 'Event is full. You have been added to the waitlist',
+      position: result.position,
+      newAchievements
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Successfully registered for event. Check in at the event to earn points',
+    pointsAvailable: result.event.points,
+    newAchievements
+  });
+});
+
+// @desc    Cancel event registration
+// @route   DELETE /api/events/:id/participate
+// @access  Private
+const removeParticipation = asyncHandler(async (req, res) => {
+  // The freed seat is offered to the next person in line
+  await participation.cancelRegistration(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Registration cancelled successfully'
+  });
+});
+
+// @desc    Check whether the current user can join an event, and why not
+// @route   GET /api/events/:id/eligibility
+// @access  Private
+const getEligibility = asyncHandler(async (req, res) => {
   const event = await Event.findById(req.params.id);
 
-  if (!event) {
+  // Proposals stay hidden until approved
+  if (!event || !(await canViewEvent(req.user, event))) {
     throw new AppError('Event not found', 404);
   }
 
-  // Check if user can participate
-  if (!event.canParticipate(req.user.id)) {
-    throw new AppError('Cannot participate in this event', 400);
+  res.status(200).json({
+    success: true,
+    data: event.canParticipate(req.user)
+  });
+});
+
+// @desc    Get own waitlist status for an event
+// @route   GET /api/events/:id/waitlist
+// @access  Private
+const getWaitlistStatus = asyncHandler(async (req, res) => {
+  const { event } = await processWaitlist(req.params.id);
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
   }
 
-  // Add user to participants
-  event.participants.push({
-    userId: req.user.id,
-    pointsEarned: event.points
+  const entry = event.getWaitlistEntry(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      waitlisted: Boolean(entry),
+      position: event.getWaitlistPosition(req.user.id),
+      waitlistLength: event.waitlist.length,
+      offerExpiresAt: entry && entry.offerExpiresAt ? entry.offerExpiresAt : null
+    }
   });
+});
 
-  await event.save();
+// @desc    Leave the waitlist (or decline a seat offer)
+// @route   DELETE /api/events/:id/waitlist
+// @access  Private
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  // A declined offer passes straight to the next person
+  await participation.leaveWaitlist(req.params.id, req.user.id);
 
-  // Update user's total points and events participated
-  const user = await User.findById(req.user.id);
-  user.totalPoints += event.points;
-  user.level = user.calculateLevel();
-  user.eventsParticipated.push({
-    eventId: event._id,
-    pointsEarned: event.points
+  res.status(200).json({
+    success: true,
+    message: 'Removed from waitlist'
   });
+});
 
-  await user.save();
+// @desc    Get the current check-in code for an event (Organizers)
+// @route   GET /api/events/:id/checkin-code
+// @access  Private/Organizer
+const getCheckInCode = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+checkInSecret');
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  if (!event.isActive || event.status === 'cancelled') {
+    throw new AppError('Check-in is not open for this event', 400);
+  }
+
+  if (ensureCheckInSecret(event)) {
+    await event.save();
+  }
 
   res.status(200).json({
     success: true,
-    message: 'Successfully participated in event',
-    pointsEarned: event.points
+    data: generateCheckIn(event)
   });
 });
 
-// @desc    Remove participation from event
-// @route   DELETE /api/events/:id/participate
+// @desc    Check in to an event with a code or QR payload
+// @route   POST /api/events/:id/checkin
 // @access  Private
-const removeParticipation = asyncHandler(async (req, res) => {
+const checkIn = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id).select('+checkInSecret');
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  if (!event.isActive || event.status === 'cancelled') {
+    throw new AppError('Check-in is not open for this event', 400);
+  }
+
+  const participant = event.getParticipant(req.user.id);
+
+  if (!participant) {
+    throw new AppError('You are not registered for this event', 400);
+  }
+
+  if (participant.status !== 'registered') {
+    throw new AppError('Attendance has already been recorded for this event', 400);
+  }
+
+  const method = verifyCheckIn(event, req.body);
+  if (!method) {
+    throw new AppError('Invalid or expired check-in code', 400);
+  }
+
+  const { user, pointsEarned, newAchievements } = await participation.creditAttendance(event._id, req.user.id, {
+    method
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Attendance verified',
+    pointsEarned,
+    newLevel: user.level,
+    newAchievements: formatAchievements(newAchievements)
+  });
+});
+
+// @desc    Manually check a student in (Organizers)
+// @route   POST /api/events/:id/checkin/:userId
+// @access  Private/Organizer
+const manualCheckIn = asyncHandler(async (req, res) => {
   const event = await Event.findById(req.params.id);
 
   if (!event) {
     throw new AppError('Event not found', 404);
   }
 
-  // Find user's participation
-  const participationIndex = event.participants.findIndex(
-    participant => participant.userId.toString() === req.user.id.toString()
-  );
+  assertEventDepartmentInScope(req.user, event.department);
 
-  if (participationIndex === -1) {
-    throw new AppError('User is not participating in this event', 400);
+  const student = await User.findById(req.params.userId);
+  if (!student) {
+    throw new AppError('User not found', 404);
   }
 
-  const participation = event.participants[participationIndex];
+  assertUserInScope(req.user, student);
 
-  // Remove from event participants
-  event.participants.splice(participationIndex, 1);
-  await event.save();
+  // Walk-ins who never registered still need a free seat
+  const { user, pointsEarned, newAchievements } = await participation.creditAttendance(event._id, student._id, {
+    method: 'manual',
+    checkedInBy: req.user.id,
+    walkIn: true
+  });
 
-  // Update user's total points and events participated
-  const user = await User.findById(req.user.id);
-  user.totalPoints -= participation.pointsEarned;
-  user.level = user.calculateLevel();
-  
-  user.eventsParticipated = user.eventsParticipated.filter(
-    event => event.eventId.toString() !== req.params.id
-  );
+  res.status(200).json({
+    success: true,
+    message: 'Attendance recorded',
+    pointsAwarded: pointsEarned,
+    newLevel: user.level,
+    newAchievements: formatAchievements(newAchievements)
+  });
+});
+
+// @desc    Get attendance for an event (Organizers)
+// @route   GET /api/events/:id/attendance
+// @access  Private/Organizer
+const getAttendance = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id)
+    .populate('participants.userId', 'name studentId department');
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  res.status(200).json({
+    success: true,
+    summary: event.getAttendanceSummary(),
+    data: event.participants
+  });
+});
 
-  await user.save();
+// @desc    Mark everyone still only registered as a no-show (Organizers)
+// @route   POST /api/events/:id/attendance/finalize
+// @access  Private/Organizer
+const finalizeAttendance = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  const { event: finalized, noShows } = await participation.finalizeAttendance(event._id);
 
   res.status(200).json({
     success: true,
-    message: 'Participation removed successfully',
-    pointsRemoved: participation.pointsEarned
+    message: `Recorded ${noShows} no-show${noShows === 1 ? '' : 's'}`,
+    summary: finalized.getAttendanceSummary()
   });
 });
 
@@ -266,78 +604,41 @@ const awardPointsForEvent = asyncHandler(async (req, res) => {
     throw new AppError('Event not found', 404);
   }
 
-  if (!userId || !points) {
-    throw new AppError('User ID and points are required', 400);
+  assertEventDepartmentInScope(req.user, event.department);
+
+  // Staff can't award points to themselves
+  if (req.user._id.equals(userId)) {
+    throw new AppError('You cannot award points to yourself', 403);
   }
 
   // Check if user exists
-  const user = await User.findById(userId);
-  if (!user) {
+  const student = await User.findById(userId);
+  if (!student) {
     throw new AppError('User not found', 404);
   }
 
-  // Check if user is already participating in this event
-  const existingParticipation = event.participants.find(
-    participant => participant.userId.toString() === userId.toString()
-  );
+  assertUserInScope(req.user, student);
 
-  if (existingParticipation) {
+  // Check if user already has attendance credited for this event
+  const existingParticipation = event.getParticipant(userId);
+
+  if (existingParticipation && existingParticipation.status === 'attended') {
     throw new AppError('User is already participating in this event', 400);
   }
 
-  // Add user to event participants
-  event.participants.push({
-    userId: userId,
-    pointsEarned: points
-  });
-
-  await event.save();
-
-  // Update user's total points and events participated
-  user.totalPoints += points;
-  user.level = user.calculateLevel();
-  user.eventsParticipated.push({
-    eventId: event._id,
-    pointsEarned: points
+  const { user, newAchievements } = await participation.creditAttendance(event._id, userId, {
+    points,
+    method: 'manual',
+    checkedInBy: req.user.id,
+    walkIn: true
   });
 
-  await user.save();
-
-  // Check for new achievements
-  const Achievement = require('../models/Achievement');
-  const allAchievements = await Achievement.find({ isActive: true });
-  const newAchievements = [];
-
-  for (const achievement of allAchievements) {
-    // Check if user already has this achievement
-    const hasAchievement = user.achievements.some(
-      userAchievement => userAchievement.achievementId.toString() === achievement._id.toString()
-    );
-
-    if (!hasAchievement && achievement.checkEligibility(user)) {
-      // Award the achievement
-      user.achievements.push({
-        achievementId: achievement._id,
-        points: achievement.points
-      });
-      newAchievements.push(achievement);
-    }
-  }
-
-  if (newAchievements.length > 0) {
-    await user.save();
-  }
-
   res.status(200).json({
     success: true,
     message: 'Points awarded successfully',
     pointsAwarded: points,
     newLevel: user.level,
-    newAchievements: newAchievements.map(achievement => ({
-      title: achievement.title,
-      description: achievement.description,
-      points: achievement.points
-    }))
+    newAchievements: formatAchievements(newAchievements)
   });
 });
 
@@ -346,10 +647,20 @@ module.exports = {
   getUpcomingEvents,
   getEventsByDepartment,
   getEvent,
+  getEventCalendar,
   createEvent,
   updateEvent,
   deleteEvent,
+  cancelEvent,
   participateInEvent,
   removeParticipation,
+  getEligibility,
+  getWaitlistStatus,
+  leaveWaitlist,
+  getCheckInCode,
+  checkIn,
+  manualCheckIn,
+  getAttendance,
+  finalizeAttendance,
   awardPointsForEvent
 };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { issueAuthTokens } = require('../utils/tokens');
+const { assertCanGrantRole } = require('../utils/permissions');
+const { getScopeDepartments, inviteScopeFilter, assertInviteInScope } = require('../utils/scope');
+
+const INVITE_SECRET = () => process.env.INVITE_SECRET || process.env.JWT_SECRET;
+const DEFAULT_INVITE_HOURS = parseInt(process.env.INVITE_EXPIRE_HOURS) || 72;
+
+// @desc    Create an invite for an elevated account (Admin only)
+// @route   POST /api/auth/invites
+// @access  Private/Admin
+const createInvite = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  const expiresInHours = parseInt(req.body.expiresInHours) || DEFAULT_INVITE_HOURS;
+
+  const userExists = await User.findOne({ email });
+  if (userExists) {
+    throw new AppError('User already exists with this email', 400);
+  }
+
+  // Invites without a role are for admins
+  const role = await assertCanGrantRole(req.user, req.body.role || 'admin');
+
+  const invite = await Invite.create({
+    email,
+    role: role.name,
+    // Invitees of a scoped admin administer the same departments
+    departments: getScopeDepartments(req.user) || [],
+    tokenId: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    createdBy: req.user.id
+  });
+
+  // The token is only ever returned here; it is not stored
+  const token = jwt.sign(
+    { inv: invite._id.toString(), email: invite.email, role: invite.role },
+    INVITE_SECRET(),
+    { jwtid: invite.tokenId, expiresIn: `${expiresInHours}h` }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Invite created successfully',
+    token,
+    data: invite
+  });
+});
+
+// @desc    Get all invites (Admin only)
+// @route   GET /api/auth/invites
+// @access  Private/Admin
+const getInvites = asyncHandler(async (req, res) => {
+  // Scoped admins only see invites for their departments
+  const query = inviteScopeFilter(req.user);
+
+  if (req.query.status === 'pending') {
+    Object.assign(query, Invite.pendingFilter());
+  } else if (req.query.status === 'redeemed') {
+    query.redeemedAt = { $ne: null };
+  } else if (req.query.status === 'revoked') {
+    query.revokedAt = { $ne: null };
+  } else if (req.query.status === 'expired') {
+    Object.assign(query, { revokedAt: null, redeemedAt: null, expiresAt: { $lte: new Date() } });
+  }
+
+  const invites = await Invite.find(query)
+    .populate('createdBy', 'name email')
+    .populate('redeemedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: invites.length,
+    data: invites
+  });
+});
+
+// @desc    Revoke an invite (Admin only)
+// @route   DELETE /api/auth/invites/:id
+// @access  Private/Admin
+const revokeInvite = asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id);
+
+  if (!invite) {
+    throw new AppError('Invite not found', 404);
+  }
+
+  assertInviteInScope(req.user, invite);
+
+  if (invite.status !== 'pending') {
+    throw new AppError(`Invite is already ${invite.status}`, 400);
+  }
+
+  invite.revokedAt = new Date();
+  invite.revokedBy = req.user.id;
+  await invite.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Invite revoked successfully',
+    data: invite
+  });
+});
+
+// @desc    Redeem an invite and create the invited account
+// @route   POST /api/auth/invites/accept
+// @access  Public
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { token, name, password, department, year } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, INVITE_SECRET());
+  } catch (error) {
+    throw new AppError('Invite is invalid or has expired', 400);
+  }
+
+  // Claim the invite atomically so it can only be redeemed once
+  const invite = await Invite.findOneAndUpdate(
+    { _id: decoded.inv, tokenId: decoded.jti, ...Invite.pendingFilter() },
+    { redeemedAt: new Date(), redeemedFromIp: req.ip },
+    { new: true }
+  );
+
+  if (!invite) {
+    throw new AppError('Invite is invalid or has expired', 400);
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      name,
+      email: invite.email,
+      password,
+      role: invite.role,
+      department,
+      year,
+      adminScope: { global: false, departments: invite.departments },
+      // Redeeming the emailed invite proves ownership of the address
+      isEmailVerified: true
+    });
+  } catch (error) {
+    // Release the invite so a corrected request can still use it
+    await Invite.updateOne({ _id: invite._id }, { redeemedAt: null, redeemedFromIp: null });
+    if (error.code === 11000) {
+      throw new AppError('User already exists with this email', 400);
+    }
+    throw error;
+  }
+
+  invite.redeemedBy = user._id;
+  await invite.save();
+
+  const { token: accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invite accepted successfully',
+    token: accessToken,
+    refreshToken,
+    user: user.getProfile()
+  });
+});
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  acceptInvite
+};
@@ -0,0 +1,79 @@
+const Notification = require('../models/Notification');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build query
+  const query = { user: req.user.id };
+
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Notification.countDocuments(query);
+  const unread = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unread,
+    page,
+    pages: Math.ceil(total / limit),
+    data: notifications
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!notification) {
+    throw new AppError('Notification not found', 404);
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'All notifications marked as read',
+    count: result.modifiedCount
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markAsRead,
+  markAllAsRead
+};
@@ -0,0 +1,87 @@
+const Event = require('../models/Event');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { eventScopeFilter, assertEventDepartmentInScope } = require('../utils/scope');
+const proposals = require('../utils/proposals');
+
+// @desc    List event proposals (reviewers see the queue, everyone else their own)
+// @route   GET /api/events/proposals
+// @access  Private
+const getProposals = asyncHandler(async (req, res) => {
+  const query = { isActive: true, 'reviewHistory.0': { $exists: true } };
+
+  const isReviewer = await hasPermission(req.user, 'events:approve');
+  if (isReviewer) {
+    Object.assign(query, eventScopeFilter(req.user));
+    query.approvalStatus = req.query.status || 'pending_review';
+  } else {
+    query.createdBy = req.user.id;
+    if (req.query.status) {
+      query.approvalStatus = req.query.status;
+    }
+  }
+
+  const events = await Event.find(query)
+    .populate('createdBy', 'name email studentId department')
+    .populate('reviewHistory.by', 'name')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: events
+  });
+});
+
+// @desc    Propose an event for review
+// @route   POST /api/events/proposals
+// @access  Private
+const proposeEvent = asyncHandler(async (req, res) => {
+  const event = await proposals.submitProposal(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Event proposal submitted for review',
+    data: event
+  });
+});
+
+// @desc    Edit own proposal (resubmits it if changes were requested)
+// @route   PUT /api/events/proposals/:id
+// @access  Private
+const updateProposal = asyncHandler(async (req, res) => {
+  const event = await proposals.reviseProposal(req.params.id, req.user.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Event proposal updated',
+    data: event
+  });
+});
+
+// @desc    Approve, reject or request changes to a proposal
+// @route   POST /api/events/proposals/:id/review
+// @access  Private/Reviewer
+const reviewProposal = asyncHandler(async (req, res) => {
+  const event = await proposals.loadProposal(req.params.id);
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  await proposals.reviewProposal(event, req.user.id, {
+    decision: req.body.decision,
+    comment: req.body.comment
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Event proposal ${event.approvalStatus.replace('_', ' ')}`,
+    data: event
+  });
+});
+
+module.exports = {
+  getProposals,
+  proposeEvent,
+  updateProposal,
+  reviewProposal
+};
@@ -0,0 +1,128 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../config/permissions');
+const { assertCanGrantPermissions, clearPermissionCache } = require('../utils/permissions');
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private/Admin
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles
+  });
+});
+
+// @desc    Get available permissions
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+const getPermissions = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private/Admin
+const createRole = asyncHandler(async (req, res) => {
+  const roleExists = await Role.findOne({ name: req.body.name });
+  if (roleExists) {
+    throw new AppError('Role already exists', 400);
+  }
+
+  await assertCanGrantPermissions(req.user, req.body.permissions || []);
+
+  const role = await Role.create({
+    name: req.body.name,
+    description: req.body.description,
+    permissions: req.body.permissions
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role
+  });
+});
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  // Editing admin could lock everyone out of role management
+  if (role.name === 'admin') {
+    throw new AppError('The admin role cannot be modified', 400);
+  }
+
+  // Nobody can widen their own access, or reshape a role that has more of it than they do
+  if (role.name === req.user.role) {
+    throw new AppError('You cannot modify your own role', 403);
+  }
+  await assertCanGrantPermissions(req.user, role.permissions, `You cannot modify the ${role.name} role`);
+
+  if (req.body.description !== undefined) {
+    role.description = req.body.description;
+  }
+
+  if (req.body.permissions !== undefined) {
+    await assertCanGrantPermissions(req.user, req.body.permissions);
+    role.permissions = req.body.permissions;
+  }
+
+  await role.save();
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role
+  });
+});
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+const deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  if (role.isSystem) {
+    throw new AppError('Built-in roles cannot be deleted', 400);
+  }
+
+  const assignedUsers = await User.countDocuments({ role: role.name });
+  if (assignedUsers > 0) {
+    throw new AppError(`Role is still assigned to ${assignedUsers} user(s)`, 400);
+  }
+
+  await role.deleteOne();
+  clearPermissionCache();
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+});
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,153 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { eventScopeFilter, assertEventDepartmentInScope } = require('../utils/scope');
+const { validateRule, parseRRule } = require('../utils/recurrence');
+const { createSeriesWithOccurrences, cancelOccurrences } = require('../utils/series');
+
+// @desc    Get all event series
+// @route   GET /api/series
+// @access  Private
+const getSeries = asyncHandler(async (req, res) => {
+  const query = { isActive: true };
+
+  if (req.query.department) {
+    query.department = { $in: [req.query.department, 'All Departments'] };
+  }
+
+  // Event managers only see the series in their department scope
+  if (await hasPermission(req.user, 'events:update')) {
+    const scope = eventScopeFilter(req.user);
+    if (scope.department) {
+      query.$and = [{ department: scope.department }];
+    }
+  }
+
+  const series = await EventSeries.find(query)
+    .populate('createdBy', 'name email')
+    .sort({ startAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: series.length,
+    data: series.map(item => ({ ...item.toObject(), rrule: item.toRRule() }))
+  });
+});
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/series/:id
+// @access  Private
+const getSeriesById = asyncHandler(async (req, res) => {
+  const series = await EventSeries.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!series) {
+    throw new AppError('Series not found', 404);
+  }
+
+  const occurrences = await Event.find({ series: series._id, isActive: true })
+    .select('title startAt endAt status maxParticipants participants')
+    .sort({ startAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...series.toObject(),
+      rrule: series.toRRule(),
+      occurrences: occurrences.map(occurrence => ({
+        _id: occurrence._id,
+        title: occurrence.title,
+        startAt: occurrence.startAt,
+        endAt: occurrence.endAt,
+        status: occurrence.status,
+        maxParticipants: occurrence.maxParticipants,
+        participantCount: occurrence.getParticipantCount()
+      }))
+    }
+  });
+});
+
+// @desc    Create a series and generate its occurrences
+// @route   POST /api/series
+// @access  Private/Admin
+const createSeries = asyncHandler(async (req, res) => {
+  assertEventDepartmentInScope(req.user, req.body.department);
+
+  const recurrence = req.body.rrule
+    ? parseRRule(req.body.rrule)
+    : validateRule(req.body.recurrence);
+
+  const startAt = new Date(req.body.startAt);
+  const durationMinutes = req.body.endAt
+    ? Math.round((new Date(req.body.endAt) - startAt) / 60000)
+    : req.body.durationMinutes;
+
+  const { series, occurrences } = await createSeriesWithOccurrences({
+    title: req.body.title,
+    description: req.body.description,
+    type: req.body.type,
+    points: req.body.points,
+    department: req.body.department,
+    maxParticipants: req.body.maxParticipants,
+    eligibility: req.body.eligibility,
+    startAt,
+    durationMinutes: durationMinutes || parseInt(process.env.EVENT_DEFAULT_DURATION_MINUTES) || 120,
+    registrationCloseMinutes: req.body.registrationCloseMinutes,
+    timezone: req.body.timezone,
+    recurrence,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Series created with ${occurrences.length} occurrence${occurrences.length === 1 ? '' : 's'}`,
+    data: {
+      ...series.toObject(),
+      rrule: series.toRRule(),
+      occurrences: occurrences.map(occurrence => ({
+        _id: occurrence._id,
+        startAt: occurrence.startAt,
+        endAt: occurrence.endAt
+      }))
+    }
+  });
+});
+
+// @desc    End a series: cancel its remaining occurrences
+// @route   DELETE /api/series/:id
+// @access  Private/Admin
+const deleteSeries = asyncHandler(async (req, res) => {
+  const series = await EventSeries.findById(req.params.id);
+
+  if (!series) {
+    throw new AppError('Series not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, series.department);
+
+  // Past occurrences stay as they are; everything still to come is cancelled
+  const next = await Event.findOne({
+    series: series._id,
+    isActive: true,
+    status: { $in: ['upcoming', 'ongoing'] }
+  }).sort({ startAt: 1 });
+
+  const cancelled = next ? await cancelOccurrences(next, 'future') : [];
+
+  series.isActive = false;
+  await series.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Series ended, ${cancelled.length} occurrence${cancelled.length === 1 ? '' : 's'} cancelled`,
+    count: cancelled.length
+  });
+});
+
+module.exports = {
+  getSeries,
+  getSeriesById,
+  createSeries,
+  deleteSeries
+};
@@ -0,0 +1,165 @@
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { assertEventDepartmentInScope } = require('../utils/scope');
+const teams = require('../utils/teams');
+
+// Only members get to see (and share) the invite code
+const presentTeam = (team, userId) => {
+  const teamObject = team.toObject();
+  if (!team.isMember(userId)) {
+    delete teamObject.inviteCode;
+  }
+  delete teamObject.__v;
+  return teamObject;
+};
+
+// @desc    Get the active teams of an event
+// @route   GET /api/teams?event=:eventId
+// @access  Private
+const getTeams = asyncHandler(async (req, res) => {
+  const eventTeams = await Team.find({ event: req.query.event, status: 'active' })
+    .populate('captain', 'name studentId')
+    .populate('members.user', 'name studentId department')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: eventTeams.length,
+    data: eventTeams.map(team => presentTeam(team, req.user.id))
+  });
+});
+
+// @desc    Get own team for an event
+// @route   GET /api/teams/mine?event=:eventId
+// @access  Private
+const getMyTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findOne({
+    event: req.query.event,
+    status: 'active',
+    'members.user': req.user.id
+  }).populate('members.user', 'name studentId department');
+
+  if (!team) {
+    throw new AppError('You are not on a team for this event', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: presentTeam(team, req.user.id)
+  });
+});
+
+// @desc    Create a team for an event (you become captain)
+// @route   POST /api/teams
+// @access  Private
+const createTeam = asyncHandler(async (req, res) => {
+  const team = await teams.createTeam(req.body.event, req.user.id, req.body.name);
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created. Share the invite code with your teammates',
+    data: presentTeam(team, req.user.id)
+  });
+});
+
+// @desc    Join a team with its invite code
+// @route   POST /api/teams/join
+// @access  Private
+const joinTeam = asyncHandler(async (req, res) => {
+  const team = await teams.joinTeam(req.body.inviteCode, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Joined team ${team.name}`,
+    data: presentTeam(team, req.user.id)
+  });
+});
+
+// @desc    Leave a team
+// @route   POST /api/teams/:id/leave
+// @access  Private
+const leaveTeam = asyncHandler(async (req, res) => {
+  await teams.leaveTeam(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'You have left the team'
+  });
+});
+
+// @desc    Remove a member from your team (captain)
+// @route   DELETE /api/teams/:id/members/:userId
+// @access  Private
+const removeMember = asyncHandler(async (req, res) => {
+  const team = await teams.kickMember(req.params.id, req.user.id, req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Member removed from the team',
+    data: presentTeam(team, req.user.id)
+  });
+});
+
+// @desc    Disband your team (captain)
+// @route   DELETE /api/teams/:id
+// @access  Private
+const disbandTeam = asyncHandler(async (req, res) => {
+  await teams.disbandTeam(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Team disbanded'
+  });
+});
+
+// @desc    Replace your team's invite code (captain)
+// @route   POST /api/teams/:id/invite-code
+// @access  Private
+const regenerateInviteCode = asyncHandler(async (req, res) => {
+  const team = await teams.regenerateInviteCode(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invite code replaced. The old code no longer works',
+    data: { inviteCode: team.inviteCode }
+  });
+});
+
+// @desc    Check in a whole team and credit every member (Organizers)
+// @route   POST /api/teams/:id/checkin
+// @access  Private/Organizer
+const checkInTeam = asyncHandler(async (req, res) => {
+  const team = await Team.findById(req.params.id);
+  if (!team) {
+    throw new AppError('Team not found', 404);
+  }
+
+  const event = await Event.findById(team.event);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  assertEventDepartmentInScope(req.user, event.department);
+
+  const { credited } = await teams.checkInTeam(team._id, { checkedInBy: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    message: `Checked in ${credited.length} team member${credited.length === 1 ? '' : 's'}`,
+    count: credited.length,
+    data: credited
+  });
+});
+
+module.exports = {
+  getTeams,
+  getMyTeam,
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  removeMember,
+  disbandTeam,
+  regenerateInviteCode,
+  checkInTeam
+};
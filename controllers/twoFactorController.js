@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { hashToken, verifyTwoFactorToken, issueAuthTokens } = require('../utils/tokens');
+const { recordActivity } = require('../utils/streaks');
+const {
+  getFailureState,
+  recordAttempt,
+  registerFailure,
+  clearFailures,
+  lockedMessage
+} = require('../utils/loginGuard');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Generate one-time recovery codes; only their hashes are stored
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  user.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Check a TOTP code or recovery code against the user's enrolled secret.
+// Consumes the code on success; the caller is responsible for saving.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || 'MCE Student Portal'
+      })
+    }
+  });
+});
+
+// @desc    Confirm enrollment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 400);
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    recoveryCodes
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (user.requiresTwoFactor()) {
+    throw new AppError(`Two-factor authentication is required for the ${user.role} role`, 403);
+  }
+
+  if (!(await user.matchPassword(req.body.password)) || !checkSecondFactor(user, req.body)) {
+    throw new AppError('Invalid password or two-factor code', 401);
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!checkSecondFactor(user, { code: req.body.code })) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery codes regenerated',
+    recoveryCodes
+  });
+});
+
+// @desc    Complete login with a two-factor or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const decoded = verifyTwoFactorToken(req.body.twoFactorToken);
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    throw new AppError('Two-factor session is invalid or has expired, please log in again', 401);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const { failures, lockUntil } = await getFailureState(user.email, user);
+  if (lockUntil) {
+    await recordAttempt(user.email, user, req, 'locked');
+    throw new AppError(lockedMessage(lockUntil), 429);
+  }
+
+  if (!checkSecondFactor(user, req.body)) {
+    const lockedUntil = await registerFailure(user.email, user, req, failures);
+    if (lockedUntil) {
+      throw new AppError(lockedMessage(lockedUntil), 429);
+    }
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  clearFailures(user);
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+  await recordActivity(user._id, 'login');
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    user: user.getProfile()
+  });
+});
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
@@ -1,5 +1,15 @@
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const PointTransaction = require('../models/PointTransaction');
+const Activity = require('../models/Activity');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hasPermission, assertCanGrantRole } = require('../utils/permissions');
+const { runInTransaction } = require('../utils/transaction');
+const { emit } = require('../utils/domainEvents');
+const streaks = require('../utils/streaks');
+const { revokeUserSessions } = require('../utils/tokens');
+const { clearFailures } = require('../utils/loginGuard');
+const { getScopeDepartments, isGlobalScope, userScopeFilter, assertUserInScope } = require('../utils/scope');
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
@@ -20,6 +30,12 @@ const getUsers = asyncHandler(async (req, res) => {
     query.role = req.query.role;
   }
 
+  // Only list users in the requester's department scope
+  const scope = userScopeFilter(req.user);
+  if (scope.department) {
+    query.$and = [scope];
+  }
+
   const users = await User.find(query)
     .select('-password')
     .sort({ createdAt: -1 })
@@ -72,6 +88,143 @@ const getUserProfile = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a user's point history (own history, or any user in scope with users:read)
+// @route   GET /api/users/:id/points/history
+// @access  Private
+const getPointsHistory = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('department totalPoints level');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user._id.toString() !== req.user.id) {
+    if (!(await hasPermission(req.user, 'users:read'))) {
+      throw new AppError('Not authorized to view this point history', 403);
+    }
+    assertUserInScope(req.user, user);
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { user: user._id };
+  if (req.query.sourceType) {
+    query.sourceType = req.query.sourceType;
+  }
+
+  const transactions = await PointTransaction.find(query)
+    .populate('actor', 'name')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await PointTransaction.countDocuments(query);
+  const balance = await PointTransaction.getBalance(user._id);
+
+  res.status(200).json({
+    success: true,
+    count: transactions.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    totalPoints: user.totalPoints,
+    level: user.level,
+    balance, // Sum of the whole ledger; matches totalPoints unless something bypassed it
+    data: transactions
+  });
+});
+
+// @desc    Get a user's activity streaks (own streak, or any user in scope with users:read)
+// @route   GET /api/users/:id/streak
+// @access  Private
+const getStreak = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('department timezone streak');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user._id.toString() !== req.user.id) {
+    if (!(await hasPermission(req.user, 'users:read'))) {
+      throw new AppError('Not authorized to view this streak', 403);
+    }
+    assertUserInScope(req.user, user);
+  }
+
+  // Active days in the last `days` days, today included
+  const days = parseInt(req.query.days) || 30;
+  const since = streaks.localDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000), user.timezone);
+  const activity = await Activity.find({ user: user._id, day: { $gte: since } })
+    .select('day types')
+    .sort({ day: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...streaks.getStreak(user),
+      activity
+    }
+  });
+});
+
+// @desc    Add or remove points by hand, with a reason (Admin only)
+// @route   POST /api/users/:id/points/adjust
+// @access  Private/Admin
+const adjustUserPoints = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+  const user = await User.findById(req.params.id).select('department totalPoints');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Staff can't grant themselves points
+  if (user._id.equals(req.user._id)) {
+    throw new AppError('You cannot adjust your own points', 403);
+  }
+
+  assertUserInScope(req.user, user);
+
+  const transaction = await runInTransaction(async (session) => {
+    const applied = await User.adjustPoints(user._id, amount, {
+      sourceType: 'adjustment',
+      actor: req.user.id,
+      reason,
+      session,
+      preventNegative: true
+    });
+
+    if (!applied) {
+      const { totalPoints } = await User.findById(user._id).select('totalPoints').session(session);
+      throw new AppError(`User only has ${totalPoints} points`, 400);
+    }
+
+    return applied;
+  });
+
+  // Crossing a points threshold either way awards or revokes achievements
+  await emit('points.changed', {
+    userId: user._id,
+    amount,
+    sourceType: 'adjustment',
+    sourceId: null,
+    actor: req.user.id
+  });
+
+  const updatedUser = await User.findById(user._id).select('name studentId totalPoints level');
+
+  res.status(201).json({
+    success: true,
+    message: `${amount > 0 ? 'Added' : 'Removed'} ${Math.abs(amount)} points`,
+    data: {
+      transaction,
+      user: updatedUser
+    }
+  });
+});
+
 // @desc    Update user (Admin only)
 // @route   PUT /api/users/:id
 // @access  Private/Admin
@@ -82,6 +235,11 @@ const updateUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  assertUserInScope(req.user, user);
+  if (req.body.department !== undefined) {
+    assertUserInScope(req.user, { department: req.body.department });
+  }
+
   const fieldsToUpdate = {
     name: req.body.name,
     department: req.body.department,
@@ -100,6 +258,10 @@ const updateUser = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   );
 
+  if (fieldsToUpdate.isActive === false) {
+    await revokeUserSessions(updatedUser._id);
+  }
+
   res.status(200).json({
     success: true,
     message: 'User updated successfully',
@@ -117,35 +279,200 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  assertUserInScope(req.user, user);
+
   // Soft delete - set isActive to false
   user.isActive = false;
   await user.save();
 
+  // Deactivation must end every session immediately
+  await revokeUserSessions(user._id);
+
   res.status(200).json({
     success: true,
     message: 'User deactivated successfully'
   });
 });
 
+// @desc    Assign a role to a user (Admin only)
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+const assignRole = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  assertUserInScope(req.user, user);
+
+  const role = await assertCanGrantRole(req.user, req.body.role);
+
+  if (user._id.equals(req.user._id) && role.name !== user.role) {
+    throw new AppError('You cannot change your own role', 400);
+  }
+
+  // A scoped admin can't reach past their departments through someone else:
+  // they can't change the role of anyone scoped more widely, and whoever
+  // they appoint administers the same departments they do.
+  const departments = getScopeDepartments(req.user);
+  if (departments) {
+    const targetDepartments = getScopeDepartments(user);
+    if (!targetDepartments || !targetDepartments.every(department => departments.includes(department))) {
+      throw new AppError('User has a wider scope than you', 403);
+    }
+    user.adminScope = { global: false, departments };
+  }
+
+  user.role = role.name;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Role assigned successfully',
+    data: user.getProfile()
+  });
+});
+
+// @desc    Set the departments a staff member administers (Admin only)
+// @route   PUT /api/users/:id/scope
+// @access  Private/Admin
+const updateUserScope = asyncHandler(async (req, res) => {
+  // Only globally scoped admins can hand out scope
+  if (!isGlobalScope(req.user)) {
+    throw new AppError('Only globally scoped admins can assign scope', 403);
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  user.adminScope = {
+    global: Boolean(req.body.global),
+    departments: req.body.global ? [] : (req.body.departments || [])
+  };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scope updated successfully',
+    data: user.getProfile()
+  });
+});
+
+// @desc    Unlock a locked-out account (Admin only)
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  assertUserInScope(req.user, user);
+
+  clearFailures(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked successfully'
+  });
+});
+
+// @desc    Force-reset a user's two-factor authentication (Admin only)
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+const resetTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  assertUserInScope(req.user, user);
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  // Sessions established with the old authenticator must not survive
+  await revokeUserSessions(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset successfully'
+  });
+});
+
+// @desc    Get failed login attempts (Admin only)
+// @route   GET /api/users/login-attempts
+// @access  Private/Admin
+const getLoginAttempts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  // Build query
+  const query = {};
+
+  if (req.query.email) {
+    query.email = req.query.email.toLowerCase();
+  }
+
+  if (req.query.userId) {
+    query.user = req.query.userId;
+  }
+
+  if (req.query.ip) {
+    query.ip = req.query.ip;
+  }
+
+  if (req.query.since) {
+    query.createdAt = { $gte: new Date(req.query.since) };
+  }
+
+  const attempts = await LoginAttempt.find(query)
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await LoginAttempt.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: attempts.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: attempts
+  });
+});
+
 // @desc    Get user statistics (Admin only)
 // @route   GET /api/users/stats
 // @access  Private/Admin
 const getUserStats = asyncHandler(async (req, res) => {
-  const totalUsers = await User.countDocuments();
-  const activeUsers = await User.countDocuments({ isActive: true });
-  const students = await User.countDocuments({ role: 'student' });
-  const admins = await User.countDocuments({ role: 'admin' });
+  const scope = userScopeFilter(req.user);
+
+  const totalUsers = await User.countDocuments(scope);
+  const activeUsers = await User.countDocuments({ ...scope, isActive: true });
+  const students = await User.countDocuments({ ...scope, role: 'student' });
+  const admins = await User.countDocuments({ ...scope, role: 'admin' });
 
   // Department-wise stats
   const departmentStats = await User.aggregate([
-    { $match: { role: 'student', isActive: true } },
+    { $match: { ...scope, role: 'student', isActive: true } },
     { $group: { _id: '$department', count: { $sum: 1 } } },
     { $sort: { count: -1 } }
   ]);
 
   // Year-wise stats
   const yearStats = await User.aggregate([
-    { $match: { role: 'student', isActive: true } },
+    { $match: { ...scope, role: 'student', isActive: true } },
     { $group: { _id: '$year', count: { $sum: 1 } } },
     { $sort: { _id: 1 } }
   ]);
@@ -164,10 +491,18 @@ const getUserStats = asyncHandler(async (req, res) => {
 });
 
 module.exports = {
+  getPointsHistory,
+  getStreak,
+  adjustUserPoints,
   getUsers,
   getLeaderboard,
   getUserProfile,
   updateUser,
   deleteUser,
+  assignRole,
+  updateUserScope,
+  unlockUser,
+  resetTwoFactor,
+  getLoginAttempts,
   getUserStats
 };
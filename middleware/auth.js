@@ -1,7 +1,43 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission } = require('../utils/permissions');
+const { hashToken } = require('../utils/tokens');
 
-// Protect routes - verify JWT token
+// Only touch lastSeenAt once a minute to keep writes down
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// Authenticate a service integration by its X-API-Key header.
+// The request acts as the key's owner, limited to the key's scopes.
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(req.headers['x-api-key']) });
+
+  if (!apiKey || !apiKey.isUsable()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+  }
+
+  req.user = await User.findById(apiKey.createdBy).select('-password');
+
+  if (!req.user || !req.user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+// Protect routes - verify JWT token or API key
 const protect = async (req, res, next) => {
   try {
     let token;
@@ -11,6 +47,11 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    // Service integrations authenticate with an API key instead of a user token
+    if (!token && req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Make sure token exists
     if (!token) {
       return res.status(401).json({
@@ -22,6 +63,14 @@ const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Purpose tokens (e.g. a pending two-factor login) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route'
+        });
+      }
       
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
@@ -33,6 +82,35 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (!req.user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Account has been deactivated'
+        });
+      }
+
+      // Tokens issued before the last logout/password change are revoked
+      if (decoded.tv !== req.user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again'
+        });
+      }
+
+      const session = decoded.sid && await Session.findById(decoded.sid);
+      if (!session || session.revokedAt || !session.user.equals(req.user._id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked, please log in again'
+        });
+      }
+
+      if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+        session.lastSeenAt = new Date();
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: session.lastSeenAt });
+      }
+
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -48,19 +126,72 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Grant access to users whose role holds every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          message: `User role ${req.user.role} is not authorized to access this route`
+        });
+      }
+
+      // API keys only get the scopes they were issued with
+      if (req.apiKey) {
+        if (!permissions.every(permission => req.apiKey.scopes.includes(permission))) {
+          return res.status(403).json({
+            success: false,
+            message: 'API key is not scoped for this route'
+          });
+        }
+        return next();
+      }
+
+      if (req.user.requiresTwoFactor() && !req.user.twoFactor.enabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled to access this route'
+        });
+      }
+
+      next();
+    } catch (error) {
+      return res.status(500).json({
         success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: 'Server error in authorization'
       });
     }
-    next();
   };
 };
 
+// Reject API keys on routes that manage the signed-in user's own account
+const requireUserSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot access this route'
+    });
+  }
+  next();
+};
+
+// Signed-in users only. API keys act for their creator, so every route a key
+// may call must check the key's scopes with requirePermission; routes without
+// a permission check use this instead of protect.
+const protectUser = [protect, requireUserSession];
+
+// Require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -73,7 +204,11 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const user = await User.findById(decoded.id).select('-password');
+        const session = decoded.sid && await Session.findById(decoded.sid);
+        const valid = user && user.isActive && !decoded.purpose &&
+          decoded.tv === user.tokenVersion && session && !session.revokedAt;
+        req.user = valid ? user : null;
       } catch (error) {
         // Token is invalid, but we don't fail the request
         req.user = null;
@@ -88,6 +223,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   protect,
-  authorize,
+  requirePermission,
+  requireUserSession,
+  protectUser,
+  requireVerifiedEmail,
   optionalAuth
 };
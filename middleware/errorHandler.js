@@ -28,9 +28,10 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details; // Extra machine-readable context for the client
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -64,6 +65,12 @@ const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 400);
   }
 
+  // Optimistic concurrency conflict that outlived its retries
+  if (err.name === 'VersionError') {
+    const message = 'Resource was modified by another request, please try again';
+    error = new AppError(message, 409);
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -78,6 +85,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
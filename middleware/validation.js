@@ -0,0 +1,133 @@
+const { body } = require('express-validator');
+const { isDepartment, isEventDepartment, isAcademicYear, resolveDepartment } = require('../utils/departments');
+
+// Validation rules shared by more than one route file
+
+// Custom validators backed by the department registry (utils/departments.js).
+// A department or year being chosen must be active.
+const isActiveDepartment = async (value) => {
+  if (!(await isDepartment(value, { activeOnly: true }))) {
+    throw new Error('Invalid department');
+  }
+  return true;
+};
+
+const isActiveEventDepartment = async (value) => {
+  if (!(await isEventDepartment(value, { activeOnly: true }))) {
+    throw new Error('Invalid department');
+  }
+  return true;
+};
+
+const isActiveAcademicYear = async (value) => {
+  if (!(await isAcademicYear(value, { activeOnly: true }))) {
+    throw new Error('Invalid year');
+  }
+  return true;
+};
+
+// Department filters also accept codes and former names and are rewritten to
+// the canonical name: `query('department').custom(isKnownDepartment).customSanitizer(resolveDepartment)`
+const isKnownDepartment = async (value) => {
+  if (!(await resolveDepartment(value))) {
+    throw new Error('Invalid department');
+  }
+  return true;
+};
+
+// IANA time zone names, as known to the runtime
+const isTimeZone = (value) => {
+  // Throws RangeError for unknown zones
+  new Intl.DateTimeFormat('en-US', { timeZone: value });
+  return true;
+};
+
+// Event eligibility rules (events and series templates)
+const eligibilityValidation = [
+  body('eligibility.departments')
+    .optional()
+    .isArray()
+    .withMessage('Eligible departments must be an array'),
+  
+  body('eligibility.departments.*')
+    .custom(isActiveDepartment)
+    .withMessage('Invalid eligible department'),
+  
+  body('eligibility.years')
+    .optional()
+    .isArray()
+    .withMessage('Eligible years must be an array'),
+  
+  body('eligibility.years.*')
+    .custom(isActiveAcademicYear)
+    .withMessage('Invalid eligible year'),
+  
+  body('eligibility.minLevel')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Minimum level must be a positive integer'),
+  
+  body('eligibility.requiredAchievements')
+    .optional()
+    .isArray()
+    .withMessage('Required achievements must be an array'),
+  
+  body('eligibility.requiredAchievements.*')
+    .isMongoId()
+    .withMessage('Invalid achievement ID'),
+  
+  body('eligibility.inviteOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('inviteOnly must be true or false'),
+  
+  body('eligibility.invitedUsers')
+    .optional()
+    .isArray()
+    .withMessage('Invited users must be an array'),
+  
+  body('eligibility.invitedUsers.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Team event settings
+const teamSettingsValidation = [
+  body('teamSettings.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('teamSettings.enabled must be true or false')
+    .toBoolean(),
+  
+  body('teamSettings.minSize')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum team size must be a positive integer')
+    .toInt(),
+  
+  body('teamSettings.maxSize')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Maximum team size must be a positive integer')
+    .toInt(),
+  
+  body('teamSettings.pointsMode')
+    .optional()
+    .isIn(['full', 'split'])
+    .withMessage('Points mode must be full or split'),
+  
+  body('teamSettings.rosterLockAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Please provide a valid roster lock time')
+];
+
+module.exports = {
+  isActiveDepartment,
+  isActiveEventDepartment,
+  isActiveAcademicYear,
+  isKnownDepartment,
+  isTimeZone,
+  eligibilityValidation,
+  teamSettingsValidation
+};
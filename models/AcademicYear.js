@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ACADEMIC_YEARS } = require('../config/departments');
+
+const academicYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Academic year name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [30, 'Name cannot exceed 30 characters']
+  },
+  order: {
+    type: Number,
+    required: [true, 'Order is required'],
+    min: [1, 'Order must be at least 1'] // Position in lists, 1 for first year
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to create any missing built-in academic years
+academicYearSchema.statics.ensureDefaults = async function() {
+  for (const { name, ...definition } of DEFAULT_ACADEMIC_YEARS) {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: definition },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('AcademicYear', academicYearSchema);
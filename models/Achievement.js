@@ -47,6 +47,11 @@ const achievementSchema = new mongoose.Schema({
       required: function() {
         return this.requirements.type === 'custom';
       }
+    },
+    period: {
+      type: String,
+      enum: ['daily', 'weekly'], // Streak achievements: consecutive active days or weeks
+      default: 'daily'
     }
   },
   icon: {
@@ -82,9 +87,11 @@ achievementSchema.methods.checkEligibility = function(user) {
     case 'events':
       return user.eventsParticipated.length >= this.requirements.value;
     
-    case 'streak':
-      // This would need additional logic for streak calculation
-      return false;
+    case 'streak': {
+      // Earned once the streak has reached the value, even if it has since ended
+      const streak = user.streak && user.streak[this.requirements.period || 'daily'];
+      return Boolean(streak) && streak.longest >= this.requirements.value;
+    }
     
     case 'custom':
       // Custom requirements would need specific implementation
@@ -124,6 +131,10 @@ achievementSchema.pre('save', function(next) {
     return next(new Error('Events requirement must be at least 1'));
   }
   
+  if (this.requirements.type === 'streak' && this.requirements.value < 1) {
+    return next(new Error('Streak requirement must be at least 1'));
+  }
+  
   next();
 });
 
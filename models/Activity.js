@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One entry per user per day they were active, in the user's time zone.
+// Streaks are computed from these days.
+const activitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  day: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be YYYY-MM-DD'] // Local calendar day
+  },
+  types: [{
+    type: String,
+    enum: [
+      'check_in', // Attendance recorded at an event
+      'login' // Signed in
+    ]
+  }],
+  firstAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes for better query performance
+activitySchema.index({ user: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true // Non-secret start of the key, shown so keys can be told apart
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  expiresAt: {
+    type: Date,
+    default: null // null means the key doesn't expire
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedAt: Date,
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ createdBy: 1 });
+
+// Instance method to check whether the key can be used
+apiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { DEFAULT_DEPARTMENTS, ALL_DEPARTMENTS } = require('../config/departments');
+
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    validate: {
+      validator: value => value !== ALL_DEPARTMENTS,
+      message: `"${ALL_DEPARTMENTS}" is reserved for campus-wide events`
+    }
+  },
+  code: {
+    type: String,
+    required: [true, 'Department code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{2,10}$/, 'Code must be 2-10 letters or numbers']
+  },
+  aliases: [{
+    type: String,
+    trim: true // Former names, mapped onto `name` by scripts/migrateDepartments.js
+  }],
+  isActive: {
+    type: Boolean,
+    default: true // Inactive departments stay valid on existing records but can't be chosen
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+departmentSchema.index({ aliases: 1 });
+
+// Static method to create any missing built-in departments
+departmentSchema.statics.ensureDefaults = async function() {
+  for (const { name, ...definition } of DEFAULT_DEPARTMENTS) {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: definition },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('Department', departmentSchema);
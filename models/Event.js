@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isDepartment, isEventDepartment, isAcademicYear } = require('../utils/departments');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -27,19 +28,17 @@ const eventSchema = new mongoose.Schema({
   department: {
     type: String,
     required: [true, 'Department is required'],
-    enum: [
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology',
-      'All Departments'
-    ]
+    validate: { validator: value => isEventDepartment(value), message: 'Invalid department' }
   },
   date: {
     type: Date,
-    required: [true, 'Event date is required']
+    required: [true, 'Event date is required'] // Kept in sync with startAt for older clients
+  },
+  startAt: Date,
+  endAt: Date,
+  registrationDeadline: {
+    type: Date,
+    default: null // null means registration closes when the event starts
   },
   status: {
     type: String,
@@ -51,19 +50,148 @@ const eventSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    status: {
+      type: String,
+      enum: ['registered', 'attended', 'no_show'],
+      default: 'registered'
+    },
     pointsEarned: {
       type: Number,
-      default: 0
+      default: 0 // Credited once attendance is verified
     },
     participatedAt: {
       type: Date,
       default: Date.now
+    },
+    checkedInAt: Date,
+    checkInMethod: {
+      type: String,
+      enum: ['code', 'qr', 'manual']
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team' // Set for members of a team event
     }
   }],
+  checkInSecret: {
+    type: String,
+    select: false // Seeds the rotating check-in code and signs QR payloads
+  },
   maxParticipants: {
     type: Number,
     default: null // null means unlimited
   },
+  teamSettings: {
+    enabled: {
+      type: Boolean,
+      default: false // Team events are joined through a team, not individually
+    },
+    minSize: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum team size must be at least 1']
+    },
+    maxSize: {
+      type: Number,
+      default: null, // null means no limit
+      min: [1, 'Maximum team size must be at least 1']
+    },
+    pointsMode: {
+      type: String,
+      enum: ['full', 'split'], // Every member gets the full points, or an equal share
+      default: 'full'
+    },
+    rosterLockAt: {
+      type: Date,
+      default: null // null means rosters lock when registration closes
+    }
+  },
+  eligibility: {
+    departments: [{
+      type: String,
+      validate: { validator: value => isDepartment(value), message: 'Invalid department' } // Empty means every department
+    }],
+    years: [{
+      type: String,
+      validate: { validator: value => isAcademicYear(value), message: 'Invalid year' } // Empty means every year
+    }],
+    minLevel: {
+      type: Number,
+      default: null,
+      min: [1, 'Minimum level must be at least 1']
+    },
+    requiredAchievements: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Achievement'
+    }],
+    inviteOnly: {
+      type: Boolean,
+      default: false
+    },
+    invitedUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  waitlist: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date // Seat is held for this user until then
+  }],
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  seriesOccurrenceAt: Date, // Originally scheduled start, identifies the occurrence
+  sequence: {
+    type: Number,
+    default: 0 // iCalendar SEQUENCE, bumped whenever calendar clients should refresh
+  },
+  approvalStatus: {
+    type: String,
+    enum: ['pending_review', 'changes_requested', 'approved', 'rejected'],
+    default: 'approved' // Staff-created events need no review; student proposals start pending
+  },
+  reviewHistory: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'resubmitted', 'approved', 'rejected', 'changes_requested'],
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -74,23 +202,66 @@ const eventSchema = new mongoose.Schema({
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Concurrent saves of the same event fail with a VersionError instead of
+  // silently overbooking; callers retry through utils/transaction.js
+  optimisticConcurrency: true
 });
 
 // Indexes for better query performance
 eventSchema.index({ date: 1, status: 1 });
+eventSchema.index({ status: 1, startAt: 1 }); // For the lifecycle scheduler
+eventSchema.index({ status: 1, endAt: 1 });
+eventSchema.index({ series: 1, startAt: 1 });
 eventSchema.index({ department: 1, type: 1 });
 eventSchema.index({ createdBy: 1 });
+eventSchema.index({ approvalStatus: 1, createdAt: 1 });
+
+// Fields that appear in calendar feeds; changing any of them bumps `sequence`
+// (status changes go through utils/eventLifecycle.js, which bumps it there)
+const CALENDAR_FIELDS = ['title', 'description', 'type', 'points', 'department', 'startAt', 'endAt', 'isActive'];
 
-// Pre-save middleware to update status based on date
+const DEFAULT_DURATION_MINUTES = parseInt(process.env.EVENT_DEFAULT_DURATION_MINUTES) || 120;
+
+// Pre-validate middleware to fill in the schedule. `date` is the legacy name
+// for the start time, so whichever one was set wins and the other follows.
+eventSchema.pre('validate', function(next) {
+  if (this.isModified('startAt') && this.startAt) {
+    this.date = this.startAt;
+  } else if (this.date) {
+    this.startAt = this.date;
+  }
+
+  // A moved start keeps the default duration unless an end time was given too
+  const endIsStale = this.isModified('startAt') && !this.isModified('endAt') &&
+    this.endAt && this.endAt <= this.startAt;
+
+  if (this.startAt && (!this.endAt || endIsStale)) {
+    this.endAt = new Date(this.startAt.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+  }
+
+  if (this.startAt && this.endAt <= this.startAt) {
+    this.invalidate('endAt', 'Event must end after it starts');
+  }
+
+  const { minSize, maxSize } = this.teamSettings || {};
+  if (maxSize && minSize && maxSize < minSize) {
+    this.invalidate('teamSettings.maxSize', 'Maximum team size cannot be smaller than the minimum');
+  }
+
+  if (this.registrationDeadline && this.endAt && this.registrationDeadline > this.endAt) {
+    this.invalidate('registrationDeadline', 'Registration deadline cannot be after the event ends');
+  }
+
+  next();
+});
+
+// Pre-save middleware to tell calendar clients about changes
 eventSchema.pre('save', function(next) {
-  const now = new Date();
-  const eventDate = new Date(this.date);
-  
-  if (this.status === 'upcoming' && eventDate <= now) {
-    this.status = 'completed';
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.sequence += 1;
   }
-  
+
   next();
 });
 
@@ -99,36 +270,226 @@ eventSchema.methods.getParticipantCount = function() {
   return this.participants.length;
 };
 
-// Instance method to check if user can participate
-eventSchema.methods.canParticipate = function(userId) {
-  // Check if event is active and upcoming/ongoing
-  if (!this.isActive || this.status === 'completed' || this.status === 'cancelled') {
+// Instance method to find a user's participation entry
+eventSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(
+    participant => participant.userId.toString() === userId.toString()
+  );
+};
+
+// Instance method to count participants by attendance status
+eventSchema.methods.getAttendanceSummary = function() {
+  const summary = { registered: 0, attended: 0, no_show: 0 };
+  this.participants.forEach(participant => {
+    summary[participant.status] += 1;
+  });
+  return summary;
+};
+
+// Instance method to check whether the event is visible and open to students.
+// Events created before proposals existed have no approvalStatus.
+eventSchema.methods.isApproved = function() {
+  return !this.approvalStatus || this.approvalStatus === 'approved';
+};
+
+// Instance method to get when registration closes
+eventSchema.methods.getRegistrationDeadline = function() {
+  return this.registrationDeadline || this.startAt || this.date;
+};
+
+// Instance method to check whether new registrations are accepted
+eventSchema.methods.isRegistrationOpen = function(now = new Date()) {
+  return this.isActive && this.status === 'upcoming' && now < this.getRegistrationDeadline();
+};
+
+// Instance method to check whether team rosters can still change
+eventSchema.methods.isRosterLocked = function(now = new Date()) {
+  const { rosterLockAt } = this.teamSettings || {};
+  return !this.isRegistrationOpen(now) || Boolean(rosterLockAt && now >= rosterLockAt);
+};
+
+// Instance method to get the points each member of a team of `teamSize` earns.
+// Split shares are rounded down, so a team never earns more than the event's
+// points in total, except that every member gets at least 1.
+eventSchema.methods.getMemberPoints = function(teamSize) {
+  if (this.teamSettings.pointsMode !== 'split' || teamSize <= 1) {
+    return this.points;
+  }
+  return Math.max(1, Math.floor(this.points / teamSize));
+};
+
+// Instance method to check the event's eligibility rules for a user.
+// Returns { allowed: true }, or { allowed: false, reason, message } plus
+// whatever the client needs to explain the rule.
+eventSchema.methods.checkEligibility = function(user) {
+  const rules = this.eligibility || {};
+
+  if (rules.inviteOnly && !rules.invitedUsers.some(id => id.toString() === user._id.toString())) {
+    return { allowed: false, reason: 'not_invited', message: 'This event is invite-only' };
+  }
+
+  if (rules.departments && rules.departments.length > 0 && !rules.departments.includes(user.department)) {
+    return {
+      allowed: false,
+      reason: 'department',
+      message: `Only students from ${rules.departments.join(', ')} can join this event`,
+      allowedDepartments: rules.departments
+    };
+  }
+
+  if (rules.years && rules.years.length > 0 && !rules.years.includes(user.year)) {
+    return {
+      allowed: false,
+      reason: 'year',
+      message: `Only ${rules.years.join(', ')} students can join this event`,
+      allowedYears: rules.years
+    };
+  }
+
+  if (rules.minLevel && user.level < rules.minLevel) {
+    return {
+      allowed: false,
+      reason: 'min_level',
+      message: `You need to reach level ${rules.minLevel} to join this event`,
+      requiredLevel: rules.minLevel,
+      currentLevel: user.level
+    };
+  }
+
+  const missingAchievements = (rules.requiredAchievements || []).filter(achievementId =>
+    !user.achievements.some(earned => earned.achievementId.toString() === achievementId.toString())
+  );
+  if (missingAchievements.length > 0) {
+    return {
+      allowed: false,
+      reason: 'missing_achievements',
+      message: 'You have not earned the achievements this event requires',
+      missingAchievements
+    };
+  }
+
+  return { allowed: true };
+};
+
+// Instance method to check if user can participate.
+// Returns the same shape as checkEligibility.
+eventSchema.methods.canParticipate = function(user) {
+  if (!this.isApproved()) {
+    return { allowed: false, reason: 'not_approved', message: 'This event has not been approved yet' };
+  }
+
+  if (!this.isRegistrationOpen()) {
+    return { allowed: false, reason: 'registration_closed', message: 'Registration is closed for this event' };
+  }
+
+  if (this.getParticipant(user._id)) {
+    return { allowed: false, reason: 'already_registered', message: 'You are already registered for this event' };
+  }
+
+  const eligibility = this.checkEligibility(user);
+  if (!eligibility.allowed) {
+    return eligibility;
+  }
+
+  // A full event still lets the student join the waitlist
+  if (this.isFullFor(user._id)) {
+    return { allowed: false, reason: 'full', message: 'Event is full' };
+  }
+
+  return { allowed: true };
+};
+
+// Instance method to check whether a user could take a seat right now,
+// ignoring the registration deadline (walk-ins recorded by organizers)
+eventSchema.methods.hasSeatFor = function(userId) {
+  // Check if event is active, approved and upcoming/ongoing
+  if (!this.isActive || !this.isApproved() || this.status === 'completed' || this.status === 'cancelled') {
     return false;
   }
   
   // Check if user is already participating
-  const isParticipating = this.participants.some(
-    participant => participant.userId.toString() === userId.toString()
-  );
-  
-  if (isParticipating) {
+  if (this.getParticipant(userId)) {
     return false;
   }
   
   // Check max participants limit
-  if (this.maxParticipants && this.participants.length >= this.maxParticipants) {
+  if (this.isFullFor(userId)) {
     return false;
   }
   
   return true;
 };
 
+// Instance method to find a user's waitlist entry
+eventSchema.methods.getWaitlistEntry = function(userId) {
+  return this.waitlist.find(
+    entry => entry.userId.toString() === userId.toString()
+  );
+};
+
+// Instance method to get seats that are neither taken nor held by a waitlist offer
+eventSchema.methods.getOpenSeats = function() {
+  if (!this.maxParticipants) {
+    return Infinity;
+  }
+
+  const now = new Date();
+  const heldOffers = this.waitlist.filter(
+    entry => entry.offerExpiresAt && entry.offerExpiresAt > now
+  ).length;
+
+  return Math.max(0, this.maxParticipants - this.participants.length - heldOffers);
+};
+
+// Instance method to check whether a user would have to wait for a seat.
+// Someone holding an offer has a seat; everyone else queues behind the waitlist.
+eventSchema.methods.isFullFor = function(userId) {
+  if (!this.maxParticipants) {
+    return false;
+  }
+
+  const entry = this.getWaitlistEntry(userId);
+  if (entry && entry.offerExpiresAt && entry.offerExpiresAt > new Date()) {
+    return false;
+  }
+
+  return this.getOpenSeats() <= 0 || this.waitlist.some(waiting => !waiting.offeredAt);
+};
+
+// Instance method to get a user's 1-based waitlist position
+eventSchema.methods.getWaitlistPosition = function(userId) {
+  const index = this.waitlist.findIndex(
+    entry => entry.userId.toString() === userId.toString()
+  );
+  return index === -1 ? null : index + 1;
+};
+
+// Static method to give events created before start/end times existed a schedule
+eventSchema.statics.backfillSchedule = async function() {
+  const result = await this.updateMany(
+    { startAt: { $exists: false } },
+    [{
+      $set: {
+        startAt: '$date',
+        endAt: { $add: ['$date', DEFAULT_DURATION_MINUTES * 60 * 1000] }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Static method to limit a query to approved events. Events created before
+// proposals existed have no approvalStatus, so a missing value counts too.
+eventSchema.statics.approvedOnly = function(query = {}) {
+  return { ...query, approvalStatus: { $in: ['approved', null] } };
+};
+
 // Static method to get events by department
 eventSchema.statics.getEventsByDepartment = async function(department, status = null) {
-  const query = { 
+  const query = this.approvedOnly({ 
     department: { $in: [department, 'All Departments'] },
     isActive: true 
-  };
+  });
   
   if (status) {
     query.status = status;
@@ -141,11 +502,11 @@ eventSchema.statics.getEventsByDepartment = async function(department, status =
 
 // Static method to get upcoming events
 eventSchema.statics.getUpcomingEvents = async function(limit = 10) {
-  return await this.find({
+  return await this.find(this.approvedOnly({
     status: 'upcoming',
     isActive: true,
     date: { $gte: new Date() }
-  })
+  }))
     .populate('createdBy', 'name email')
     .sort({ date: 1 })
     .limit(limit);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { isDepartment, isEventDepartment, isAcademicYear } = require('../utils/departments');
+const { DAY_CODES, FREQUENCIES, formatRRule } = require('../utils/recurrence');
+
+// Template and recurrence rule for a set of repeating events. Each occurrence
+// is a normal Event document pointing back here through `series`.
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Series description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: ['academic', 'sports', 'extracurricular']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    min: [1, 'Points must be at least 1'],
+    max: [1000, 'Points cannot exceed 1000']
+  },
+  department: {
+    type: String,
+    required: [true, 'Department is required'],
+    validate: { validator: value => isEventDepartment(value), message: 'Invalid department' }
+  },
+  maxParticipants: {
+    type: Number,
+    default: null // null means unlimited
+  },
+  eligibility: {
+    departments: [{ type: String, validate: { validator: value => isDepartment(value), message: 'Invalid department' } }],
+    years: [{ type: String, validate: { validator: value => isAcademicYear(value), message: 'Invalid year' } }],
+    minLevel: { type: Number, default: null, min: 1 },
+    requiredAchievements: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Achievement' }],
+    inviteOnly: { type: Boolean, default: false },
+    invitedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  },
+  startAt: {
+    type: Date,
+    required: [true, 'First occurrence start time is required']
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  registrationCloseMinutes: {
+    type: Number,
+    default: null // Minutes before each start; null means at the start
+  },
+  timezone: {
+    type: String,
+    default: () => process.env.APP_TIMEZONE || 'UTC'
+  },
+  recurrence: {
+    freq: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    byDay: [{
+      type: String,
+      enum: DAY_CODES
+    }],
+    until: Date,
+    count: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+eventSeriesSchema.index({ department: 1, isActive: 1 });
+
+// Instance method to get the recurrence as an RRULE string
+eventSeriesSchema.methods.toRRule = function() {
+  return formatRRule(this.recurrence);
+};
+
+// Instance method to build the Event data for an occurrence starting at `startAt`
+eventSeriesSchema.methods.buildOccurrence = function(startAt) {
+  return {
+    title: this.title,
+    description: this.description,
+    type: this.type,
+    points: this.points,
+    department: this.department,
+    maxParticipants: this.maxParticipants,
+    eligibility: this.eligibility ? this.eligibility.toObject() : undefined,
+    startAt,
+    endAt: new Date(startAt.getTime() + this.durationMinutes * 60 * 1000),
+    registrationDeadline: this.registrationCloseMinutes === null
+      ? null
+      : new Date(startAt.getTime() - this.registrationCloseMinutes * 60 * 1000),
+    series: this._id,
+    seriesOccurrenceAt: startAt,
+    createdBy: this.createdBy
+  };
+};
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
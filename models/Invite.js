@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    default: 'admin'
+  },
+  departments: [{
+    type: String // Scope the invitee gets; empty when the inviter is global
+  }],
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedFromIp: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+inviteSchema.index({ email: 1, createdAt: -1 });
+inviteSchema.index({ createdBy: 1 });
+
+// Virtual for the current invite state
+inviteSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.redeemedAt) return 'redeemed';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Query filter matching invites that can still be redeemed
+inviteSchema.statics.pendingFilter = function() {
+  return {
+    revokedAt: null,
+    redeemedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
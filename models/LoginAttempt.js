@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 30;
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when the email doesn't belong to an account
+  },
+  ip: String,
+  userAgent: String,
+  reason: {
+    type: String,
+    enum: ['invalid_credentials', 'locked'],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
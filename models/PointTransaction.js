@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One entry per change to a user's points. Entries are never edited; a
+// correction is a new entry. User.totalPoints is the running sum of these.
+const pointTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Amount must be a non-zero whole number'
+    }
+  },
+  sourceType: {
+    type: String,
+    required: true,
+    enum: [
+      'event', // Attendance credited for an event
+      'achievement', // Achievement bonus points
+      'adjustment', // Manual correction by staff, or the opening balance
+      'reversal' // Points taken back, e.g. for a cancelled event
+    ]
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // The event or achievement the points came from
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for changes made by the system
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+pointTransactionSchema.index({ user: 1, createdAt: -1 });
+pointTransactionSchema.index({ sourceType: 1, sourceId: 1 });
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Point transactions cannot be modified'));
+};
+
+pointTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+pointTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+
+// Static method to sum a user's ledger
+pointTransactionSchema.statics.getBalance = async function(userId, { session } = {}) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]).session(session || null);
+
+  return result ? result.balance : 0;
+};
+
+module.exports = mongoose.model('PointTransaction', pointTransactionSchema);
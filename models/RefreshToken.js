@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the token can still be exchanged
+refreshTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to revoke every outstanding token of a session
+refreshTokenSchema.statics.revokeAllForSession = async function(sessionId) {
+  return await this.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to revoke every outstanding token of a user
+refreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+  return await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
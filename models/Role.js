@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to create any missing built-in roles
+roleSchema.statics.ensureDefaults = async function() {
+  for (const { name, ...definition } of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name },
+      { $setOnInsert: { ...definition, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  // Admin always holds every permission, including ones added later
+  await this.updateOne({ name: 'admin' }, { permissions: ALL_PERMISSIONS });
+};
+
+module.exports = mongoose.model('Role', roleSchema);
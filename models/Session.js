@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to turn a user agent into a short readable label
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return userAgent ? 'Unknown device' : 'Unknown client';
+  }
+
+  return [browser && browser[0], platform && `on ${platform[0]}`].filter(Boolean).join(' ');
+};
+
+// Static method to get a user's active sessions
+sessionSchema.statics.getActiveForUser = async function(userId) {
+  return await this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Unambiguous characters for codes that get read out loud and typed in
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'withdrawn', 'disbanded'],
+    default: 'active'
+  }
+}, {
+  timestamps: true,
+  // Two people taking the last spot on a team can't both succeed
+  optimisticConcurrency: true
+});
+
+// Indexes for better query performance
+teamSchema.index({ event: 1, status: 1 });
+teamSchema.index(
+  { event: 1, name: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Instance method to check whether a user is on the team
+teamSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.user.toString() === userId.toString());
+};
+
+// Instance method to check whether a user captains the team
+teamSchema.methods.isCaptain = function(userId) {
+  return this.captain.toString() === userId.toString();
+};
+
+// Static method to generate a new invite code
+teamSchema.statics.generateInviteCode = function() {
+  const bytes = crypto.randomBytes(8);
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+module.exports = mongoose.model('Team', teamSchema);
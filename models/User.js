@@ -1,5 +1,11 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isDepartment, isAcademicYear } = require('../utils/departments');
+const PointTransaction = require('./PointTransaction');
+
+// Level calculation: every 200 points = 1 level
+const POINTS_PER_LEVEL = 200;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,8 +29,14 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'admin'],
-    default: 'student'
+    default: 'student',
+    validate: {
+      // Roles are managed at runtime, so check against the roles collection
+      validator: async function(value) {
+        return Boolean(await mongoose.model('Role').exists({ name: value }));
+      },
+      message: 'Role {VALUE} does not exist'
+    }
   },
   studentId: {
     type: String,
@@ -34,18 +46,21 @@ const userSchema = new mongoose.Schema({
   },
   department: {
     type: String,
-    enum: [
-      'Civil Engineering',
-      'Mechanical Engineering',
-      'Information Science Engineering',
-      'Computer Science Engineering',
-      'Electronics and Communication Engineering',
-      'Electricals and Electronics Engineering'
-    ]
+    validate: { validator: value => isDepartment(value), message: 'Invalid department' }
   },
   year: {
     type: String,
-    enum: ['1st Year', '2nd Year', '3rd Year', '4th Year']
+    validate: { validator: value => isAcademicYear(value), message: 'Invalid year' }
+  },
+  adminScope: {
+    global: {
+      type: Boolean,
+      default: false
+    },
+    departments: [{
+      type: String,
+      validate: { validator: value => isDepartment(value), message: 'Invalid department' }
+    }]
   },
   totalPoints: {
     type: Number,
@@ -77,12 +92,89 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  timezone: {
+    type: String,
+    default: () => process.env.APP_TIMEZONE || 'UTC' // Days for streaks are counted here
+  },
+  streak: {
+    daily: {
+      current: { type: Number, default: 0 }, // As of lastActiveDay
+      longest: { type: Number, default: 0 },
+      lastActiveDay: { type: String, default: null }
+    },
+    weekly: {
+      current: { type: Number, default: 0 },
+      longest: { type: Number, default: 0 },
+      lastActiveWeek: { type: String, default: null } // Monday of the week
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false // Awaiting confirmation with a first valid code
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused one-time recovery codes
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false // Rejects replay of an already accepted code
+    },
+    enabledAt: Date
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0 // Incremented to invalidate every issued access token
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  calendarToken: {
+    type: String,
+    select: false // SHA-256 hash of the secret in the calendar feed URL
   }
 }, {
   timestamps: true
@@ -91,6 +183,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 // Note: email and studentId indexes are automatically created by unique: true
 userSchema.index({ department: 1, totalPoints: -1 }); // For leaderboards
+userSchema.index({ calendarToken: 1 }, { sparse: true }); // For calendar feed lookups
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -112,23 +205,206 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Instance method to generate a password reset token (only the hash is stored)
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10;
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Instance method to generate an email verification token (only the hash is stored)
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Instance method to generate a calendar feed token (replaces any previous one)
+userSchema.methods.getCalendarToken = function() {
+  const calendarToken = crypto.randomBytes(24).toString('hex');
+
+  this.calendarToken = crypto.createHash('sha256').update(calendarToken).digest('hex');
+
+  return calendarToken;
+};
+
+// Instance method to check whether this user's role must use two-factor auth
+userSchema.methods.requiresTwoFactor = function() {
+  const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+  return requiredRoles.includes(this.role);
+};
+
 // Instance method to calculate level based on points
 userSchema.methods.calculateLevel = function() {
-  // Level calculation: every 200 points = 1 level
-  return Math.floor(this.totalPoints / 200) + 1;
+  return this.constructor.levelForPoints(this.totalPoints);
 };
 
 // Instance method to get user profile (without sensitive data)
 userSchema.methods.getProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.resetPasswordToken;
+  delete userObject.resetPasswordExpire;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpire;
+  delete userObject.calendarToken;
+  // Lockout state would show how close an account is to being locked
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockUntil;
   delete userObject.__v;
+
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
+
   return userObject;
 };
 
+// Static method to get the level for a points total
+userSchema.statics.levelForPoints = function(totalPoints) {
+  return Math.floor(Math.max(totalPoints, 0) / POINTS_PER_LEVEL) + 1;
+};
+
+// Static method to recompute level from the stored total in one atomic update
+userSchema.statics.syncLevel = async function(userId, { session } = {}) {
+  return await this.updateOne({ _id: userId }, [
+    {
+      $set: {
+        level: {
+          $add: [{ $floor: { $divide: [{ $max: ['$totalPoints', 0] }, POINTS_PER_LEVEL] } }, 1]
+        }
+      }
+    }
+  ], { session });
+};
+
+// Static method to change a user's points and record why in the ledger.
+// Every change to totalPoints goes through here or the event helpers below;
+// call it inside a transaction so the total and the ledger move together.
+// With preventNegative a removal only applies while the balance covers it,
+// checked on write so concurrent removals can't overdraw; resolves to null
+// when it doesn't.
+userSchema.statics.adjustPoints = async function(userId, amount, { sourceType = 'adjustment', sourceId = null, actor = null, reason, session, preventNegative = false } = {}) {
+  const filter = preventNegative ? { _id: userId, totalPoints: { $gte: -amount } } : { _id: userId };
+  const result = await this.updateOne(filter, { $inc: { totalPoints: amount } }, { session });
+  if (preventNegative && result.matchedCount === 0) {
+    return null;
+  }
+
+  const [transaction] = await PointTransaction.create(
+    [{ user: userId, amount, sourceType, sourceId, actor, reason }],
+    { session }
+  );
+  await this.syncLevel(userId, { session });
+
+  return transaction;
+};
+
+// Static method to credit event points atomically, at most once per event.
+// Returns false when the user already has points for this event.
+userSchema.statics.creditEventPoints = async function(userId, eventId, points, { session, actor = null, reason } = {}) {
+  const result = await this.updateOne(
+    { _id: userId, 'eventsParticipated.eventId': { $ne: eventId } },
+    {
+      $inc: { totalPoints: points },
+      $push: { eventsParticipated: { eventId, pointsEarned: points } }
+    },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await PointTransaction.create(
+    [{ user: userId, amount: points, sourceType: 'event', sourceId: eventId, actor, reason }],
+    { session }
+  );
+  await this.syncLevel(userId, { session });
+  return true;
+};
+
+// Static method to take back the points credited for an event, atomically.
+// Returns the points removed (0 when nothing had been credited).
+userSchema.statics.reverseEventPoints = async function(userId, eventId, { session, actor = null, reason } = {}) {
+  const user = await this.findOne(
+    { _id: userId, 'eventsParticipated.eventId': eventId },
+    { 'eventsParticipated.$': 1 }
+  ).session(session);
+
+  if (!user) {
+    return 0;
+  }
+
+  const points = user.eventsParticipated[0].pointsEarned;
+  const result = await this.updateOne(
+    { _id: userId, 'eventsParticipated.eventId': eventId },
+    {
+      $inc: { totalPoints: -points },
+      $pull: { eventsParticipated: { eventId } }
+    },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    return 0;
+  }
+
+  if (points !== 0) {
+    await PointTransaction.create(
+      [{ user: userId, amount: -points, sourceType: 'reversal', sourceId: eventId, actor, reason }],
+      { session }
+    );
+  }
+  await this.syncLevel(userId, { session });
+  return points;
+};
+
+// Static method to give users whose points predate the ledger an opening
+// balance entry, so the ledger accounts for their whole total
+userSchema.statics.backfillOpeningBalances = async function() {
+  const usersWithLedger = await PointTransaction.distinct('user');
+  const users = await this.find({
+    _id: { $nin: usersWithLedger },
+    totalPoints: { $ne: 0 }
+  }).select('totalPoints');
+
+  if (users.length > 0) {
+    await PointTransaction.insertMany(users.map(user => ({
+      user: user._id,
+      amount: user.totalPoints,
+      sourceType: 'adjustment',
+      reason: 'Opening balance'
+    })));
+  }
+
+  return users.length;
+};
+
 // Static method to get leaderboard
 userSchema.statics.getLeaderboard = async function(department = null, limit = 10) {
-  const query = department ? { department, isActive: true } : { isActive: true };
+  const query = { isActive: true, isEmailVerified: true };
+
+  if (department) {
+    query.department = department;
+  }
   
   return await this.find(query)
     .select('name studentId department year totalPoints level')
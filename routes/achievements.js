@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectUser, requirePermission } = require('../middleware/auth');
 const achievementController = require('../controllers/achievementController');
 
 const router = express.Router();
@@ -49,6 +49,11 @@ const createAchievementValidation = [
     .isLength({ min: 5, max: 100 })
     .withMessage('Requirement description must be between 5 and 100 characters'),
   
+  body('requirements.period')
+    .optional()
+    .isIn(['daily', 'weekly'])
+    .withMessage('Streak period must be daily or weekly'),
+  
   body('icon')
     .optional()
     .trim()
@@ -113,14 +118,14 @@ const getAchievementsValidation = [
 ];
 
 // Routes
-router.get('/', protect, getAchievementsValidation, handleValidationErrors, achievementController.getAchievements);
-router.get('/category/:category', protect, achievementController.getAchievementsByCategory);
-router.get('/rare', protect, achievementController.getRareAchievements);
-router.get('/user/:userId', protect, achievementController.getUserAchievements);
-router.get('/:id', protect, achievementController.getAchievement);
-router.post('/', protect, authorize('admin'), createAchievementValidation, handleValidationErrors, achievementController.createAchievement);
-router.put('/:id', protect, authorize('admin'), updateAchievementValidation, handleValidationErrors, achievementController.updateAchievement);
-router.delete('/:id', protect, authorize('admin'), achievementController.deleteAchievement);
-router.post('/check', protect, achievementController.checkUserAchievements);
+router.get('/', protectUser, getAchievementsValidation, handleValidationErrors, achievementController.getAchievements);
+router.get('/category/:category', protectUser, achievementController.getAchievementsByCategory);
+router.get('/rare', protectUser, achievementController.getRareAchievements);
+router.get('/user/:userId', protectUser, achievementController.getUserAchievements);
+router.get('/:id', protectUser, achievementController.getAchievement);
+router.post('/', protect, requirePermission('achievements:manage'), createAchievementValidation, handleValidationErrors, achievementController.createAchievement);
+router.put('/:id', protect, requirePermission('achievements:manage'), updateAchievementValidation, handleValidationErrors, achievementController.updateAchievement);
+router.delete('/:id', protect, requirePermission('achievements:manage'), achievementController.deleteAchievement);
+router.post('/check', protectUser, achievementController.checkUserAchievements);
 
 module.exports = router;
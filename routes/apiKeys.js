@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission, requireUserSession } = require('../middleware/auth');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// Validation rules
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('API key name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown scope'),
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid expiry date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      return true;
+    })
+];
+
+// Keys are managed by people, never by other keys
+router.use(protect, requireUserSession, requirePermission('apikeys:manage'));
+
+// Routes
+router.get('/', apiKeyController.getApiKeys);
+router.post('/', createApiKeyValidation, handleValidationErrors, apiKeyController.createApiKey);
+router.post('/:id/rotate', apiKeyController.rotateApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,11 +1,31 @@
 const express = require('express');
 const { body } = require('express-validator');
+const Role = require('../models/Role');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { protect } = require('../middleware/auth');
+const { isActiveDepartment, isActiveAcademicYear, isTimeZone } = require('../middleware/validation');
+const { protect, protectUser, requirePermission } = require('../middleware/auth');
 const authController = require('../controllers/authController');
+const inviteController = require('../controllers/inviteController');
+const twoFactorController = require('../controllers/twoFactorController');
 
 const router = express.Router();
 
+// Institutional domains allowed to self-register, e.g. ALLOWED_EMAIL_DOMAINS=mce.edu
+// An empty list allows any domain
+const isAllowedEmailDomain = (email) => {
+  const allowedDomains = (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+
+  if (allowedDomains.length === 0) {
+    return true;
+  }
+
+  const domain = email.split('@').pop().toLowerCase();
+  return allowedDomains.includes(domain);
+};
+
 // Validation rules
 const registerValidation = [
   body('name')
@@ -18,15 +38,19 @@ const registerValidation = [
   body('email')
     .isEmail()
     .withMessage('Please provide a valid email')
-    .normalizeEmail(),
+    .normalizeEmail()
+    .custom(isAllowedEmailDomain)
+    .withMessage('Please register with your institutional email address'),
   
   body('password')
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long'),
   
+  // Elevated accounts can only be created through an admin invite
   body('role')
-    .isIn(['student', 'admin'])
-    .withMessage('Role must be either student or admin'),
+    .optional()
+    .equals('student')
+    .withMessage('Public registration is limited to student accounts'),
   
   body('studentId')
     .optional()
@@ -37,19 +61,12 @@ const registerValidation = [
   
   body('department')
     .optional()
-    .isIn([
-      'Civil Engineering',
-      'Mechanical Engineering',
-      'Information Science Engineering',
-      'Computer Science Engineering',
-      'Electronics and Communication Engineering',
-      'Electricals and Electronics Engineering'
-    ])
+    .custom(isActiveDepartment)
     .withMessage('Invalid department'),
   
   body('year')
     .optional()
-    .isIn(['1st Year', '2nd Year', '3rd Year', '4th Year'])
+    .custom(isActiveAcademicYear)
     .withMessage('Invalid year')
 ];
 
@@ -75,24 +92,24 @@ const updateDetailsValidation = [
     .optional()
     .isEmail()
     .withMessage('Please provide a valid email')
-    .normalizeEmail(),
+    .normalizeEmail()
+    .custom(isAllowedEmailDomain)
+    .withMessage('Please use your institutional email address'),
   
   body('department')
     .optional()
-    .isIn([
-      'Civil Engineering',
-      'Mechanical Engineering',
-      'Information Science Engineering',
-      'Computer Science Engineering',
-      'Electronics and Communication Engineering',
-      'Electricals and Electronics Engineering'
-    ])
+    .custom(isActiveDepartment)
     .withMessage('Invalid department'),
   
   body('year')
     .optional()
-    .isIn(['1st Year', '2nd Year', '3rd Year', '4th Year'])
-    .withMessage('Invalid year')
+    .custom(isActiveAcademicYear)
+    .withMessage('Invalid year'),
+  
+  body('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Unknown time zone')
 ];
 
 const updatePasswordValidation = [
@@ -105,12 +122,122 @@ const updatePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const createInviteValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('role')
+    .optional()
+    .custom(async (value) => {
+      if (value === 'student' || !(await Role.exists({ name: value }))) {
+        throw new Error('Invites can only be issued for an existing staff role');
+      }
+      return true;
+    }),
+  
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Invite expiry must be between 1 and 720 hours')
+];
+
+const acceptInviteValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Invite token is required'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  
+  body('department')
+    .optional()
+    .custom(isActiveDepartment)
+    .withMessage('Invalid department'),
+  
+  body('year')
+    .optional()
+    .custom(isActiveAcademicYear)
+    .withMessage('Invalid year')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required')
+];
+
+const verifyTwoFactorValidation = [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required')
+];
+
+const refreshValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 // Routes
 router.post('/register', registerValidation, handleValidationErrors, authController.register);
 router.post('/login', loginValidation, handleValidationErrors, authController.login);
-router.get('/me', protect, authController.getMe);
-router.put('/updatedetails', protect, updateDetailsValidation, handleValidationErrors, authController.updateDetails);
-router.put('/updatepassword', protect, updatePasswordValidation, handleValidationErrors, authController.updatePassword);
-router.post('/logout', protect, authController.logout);
+router.get('/me', protectUser, authController.getMe);
+router.put('/updatedetails', protectUser, updateDetailsValidation, handleValidationErrors, authController.updateDetails);
+router.put('/updatepassword', protectUser, updatePasswordValidation, handleValidationErrors, authController.updatePassword);
+router.get('/verify/:token', authController.verifyEmail);
+router.post('/verify/resend', protectUser, authController.resendVerification);
+router.post('/forgotpassword', forgotPasswordValidation, handleValidationErrors, authController.forgotPassword);
+router.put('/resetpassword/:token', resetPasswordValidation, handleValidationErrors, authController.resetPassword);
+router.post('/refresh', refreshValidation, handleValidationErrors, authController.refresh);
+router.get('/sessions', protectUser, authController.getSessions);
+router.delete('/sessions', protectUser, authController.revokeOtherSessions);
+router.delete('/sessions/:id', protectUser, authController.revokeOwnSession);
+router.post('/logout', protectUser, authController.logout);
+router.post('/2fa/setup', protectUser, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', protectUser, twoFactorCodeValidation, handleValidationErrors, twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', protectUser, disableTwoFactorValidation, handleValidationErrors, twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protectUser, twoFactorCodeValidation, handleValidationErrors, twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/verify', verifyTwoFactorValidation, handleValidationErrors, twoFactorController.verifyTwoFactorLogin);
+router.post('/invites', protect, requirePermission('invites:manage'), createInviteValidation, handleValidationErrors, inviteController.createInvite);
+router.get('/invites', protect, requirePermission('invites:manage'), inviteController.getInvites);
+router.delete('/invites/:id', protect, requirePermission('invites:manage'), inviteController.revokeInvite);
+router.post('/invites/accept', acceptInviteValidation, handleValidationErrors, inviteController.acceptInvite);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { protect, requireUserSession } = require('../middleware/auth');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Routes
+router.post('/token', protect, requireUserSession, calendarController.createCalendarToken);
+router.delete('/token', protect, requireUserSession, calendarController.revokeCalendarToken);
+
+// Subscription feeds, authenticated by the token in the URL
+router.get('/feed/:token.ics', calendarController.getUserFeed);
+router.get('/feed/:token/department/:department.ics', calendarController.getDepartmentFeed);
+
+module.exports = router;
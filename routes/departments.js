@@ -0,0 +1,111 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ALL_DEPARTMENTS } = require('../config/departments');
+const departmentController = require('../controllers/departmentController');
+
+const router = express.Router();
+
+// Validation rules
+const createDepartmentValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .not()
+    .equals(ALL_DEPARTMENTS)
+    .withMessage(`"${ALL_DEPARTMENTS}" is reserved for campus-wide events`),
+  
+  body('code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9]{2,10}$/)
+    .withMessage('Code must be 2-10 letters or numbers'),
+  
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+  
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Aliases must be between 2 and 100 characters')
+];
+
+const updateDepartmentValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .not()
+    .equals(ALL_DEPARTMENTS)
+    .withMessage(`"${ALL_DEPARTMENTS}" is reserved for campus-wide events`),
+  
+  body('code')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9]{2,10}$/)
+    .withMessage('Code must be 2-10 letters or numbers'),
+  
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be an array'),
+  
+  body('aliases.*')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Aliases must be between 2 and 100 characters'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const createAcademicYearValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Name must be between 2 and 30 characters'),
+  
+  body('order')
+    .isInt({ min: 1 })
+    .withMessage('Order must be a positive integer')
+];
+
+const updateAcademicYearValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Name must be between 2 and 30 characters'),
+  
+  body('order')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Order must be a positive integer'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const manage = [protect, requirePermission('departments:manage')];
+
+// Routes (the lists are public so registration forms can offer them)
+router.get('/years', departmentController.getAcademicYears);
+router.post('/years', manage, createAcademicYearValidation, handleValidationErrors, departmentController.createAcademicYear);
+router.put('/years/:id', manage, updateAcademicYearValidation, handleValidationErrors, departmentController.updateAcademicYear);
+router.delete('/years/:id', manage, departmentController.deleteAcademicYear);
+router.get('/', departmentController.getDepartments);
+router.post('/', manage, createDepartmentValidation, handleValidationErrors, departmentController.createDepartment);
+router.put('/:id', manage, updateDepartmentValidation, handleValidationErrors, departmentController.updateDepartment);
+router.delete('/:id', manage, departmentController.deleteDepartment);
+
+module.exports = router;
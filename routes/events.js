@@ -1,8 +1,16 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  isActiveEventDepartment,
+  isKnownDepartment,
+  eligibilityValidation,
+  teamSettingsValidation
+} = require('../middleware/validation');
+const { resolveDepartment } = require('../utils/departments');
+const { protect, protectUser, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
 const eventController = require('../controllers/eventController');
+const proposalController = require('../controllers/proposalController');
 
 const router = express.Router();
 
@@ -31,18 +39,23 @@ const createEventValidation = [
     .withMessage('Points must be between 1 and 1000'),
   
   body('department')
-    .isIn([
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology',
-      'All Departments'
-    ])
+    .custom(isActiveEventDepartment)
     .withMessage('Invalid department'),
   
+  body('startAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start time')
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Event start time cannot be in the past');
+      }
+      return true;
+    }),
+  
+  // `date` is the older name for startAt and is only required without it
   body('date')
+    .if(body('startAt').not().exists())
     .isISO8601()
     .withMessage('Please provide a valid date')
     .custom((value) => {
@@ -52,10 +65,29 @@ const createEventValidation = [
       return true;
     }),
   
+  body('endAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end time')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startAt || req.body.date)) {
+        throw new Error('Event must end after it starts');
+      }
+      return true;
+    }),
+  
+  body('registrationDeadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Please provide a valid registration deadline'),
+  
   body('maxParticipants')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Max participants must be a positive integer')
+    .withMessage('Max participants must be a positive integer'),
+  
+  ...eligibilityValidation,
+  ...teamSettingsValidation
 ];
 
 const updateEventValidation = [
@@ -83,15 +115,7 @@ const updateEventValidation = [
   
   body('department')
     .optional()
-    .isIn([
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology',
-      'All Departments'
-    ])
+    .custom(isActiveEventDepartment)
     .withMessage('Invalid department'),
   
   body('date')
@@ -99,6 +123,21 @@ const updateEventValidation = [
     .isISO8601()
     .withMessage('Please provide a valid date'),
   
+  body('startAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start time'),
+  
+  body('endAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end time'),
+  
+  body('registrationDeadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Please provide a valid registration deadline'),
+  
   body('status')
     .optional()
     .isIn(['upcoming', 'ongoing', 'completed', 'cancelled'])
@@ -107,7 +146,42 @@ const updateEventValidation = [
   body('maxParticipants')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Max participants must be a positive integer')
+    .withMessage('Max participants must be a positive integer'),
+  
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be this or future'),
+  
+  ...eligibilityValidation,
+  ...teamSettingsValidation
+];
+
+const cancelEventValidation = [
+  body('scope')
+    .optional()
+    .isIn(['this', 'future'])
+    .withMessage('Scope must be this or future'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
+];
+
+const deleteEventValidation = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
 ];
 
 const getEventsValidation = [
@@ -123,16 +197,9 @@ const getEventsValidation = [
   
   query('department')
     .optional()
-    .isIn([
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology',
-      'All Departments'
-    ])
-    .withMessage('Invalid department'),
+    .custom(isKnownDepartment)
+    .withMessage('Invalid department')
+    .customSanitizer(resolveDepartment),
   
   query('type')
     .optional()
@@ -145,16 +212,78 @@ const getEventsValidation = [
     .withMessage('Invalid status')
 ];
 
+const getProposalsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending_review', 'changes_requested', 'approved', 'rejected'])
+    .withMessage('Invalid proposal status')
+];
+
+const reviewProposalValidation = [
+  body('decision')
+    .isIn(['approve', 'reject', 'request_changes'])
+    .withMessage('Decision must be approve, reject or request_changes'),
+  
+  // The proposer needs to know why it was turned down or what to change
+  body('comment')
+    .if(body('decision').isIn(['reject', 'request_changes']))
+    .trim()
+    .notEmpty()
+    .withMessage('A comment is required when rejecting or requesting changes'),
+  
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters')
+];
+
+const checkInValidation = [
+  body()
+    .custom(value => Boolean(value.code || value.qrPayload))
+    .withMessage('A check-in code or QR payload is required'),
+  
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Check-in code must be 6 digits')
+];
+
+const awardPointsValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('A valid user ID is required'),
+  
+  body('points')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Points must be a whole number between 1 and 1000')
+    .toInt()
+];
+
 // Routes
-router.get('/', protect, getEventsValidation, handleValidationErrors, eventController.getEvents);
-router.get('/upcoming', protect, eventController.getUpcomingEvents);
-router.get('/department/:department', protect, eventController.getEventsByDepartment);
-router.get('/:id', protect, eventController.getEvent);
-router.post('/', protect, authorize('admin'), createEventValidation, handleValidationErrors, eventController.createEvent);
-router.put('/:id', protect, authorize('admin'), updateEventValidation, handleValidationErrors, eventController.updateEvent);
-router.delete('/:id', protect, authorize('admin'), eventController.deleteEvent);
-router.post('/:id/participate', protect, eventController.participateInEvent);
-router.delete('/:id/participate', protect, eventController.removeParticipation);
-router.post('/:id/award-points', protect, authorize('admin'), eventController.awardPointsForEvent);
+router.get('/', protectUser, getEventsValidation, handleValidationErrors, eventController.getEvents);
+router.get('/upcoming', protectUser, eventController.getUpcomingEvents);
+router.get('/department/:department', protectUser, eventController.getEventsByDepartment);
+router.get('/proposals', protectUser, getProposalsValidation, handleValidationErrors, proposalController.getProposals);
+router.post('/proposals', protectUser, requireVerifiedEmail, createEventValidation, handleValidationErrors, proposalController.proposeEvent);
+router.put('/proposals/:id', protectUser, updateEventValidation, handleValidationErrors, proposalController.updateProposal);
+router.post('/proposals/:id/review', protect, requirePermission('events:approve'), reviewProposalValidation, handleValidationErrors, proposalController.reviewProposal);
+router.get('/:id', protectUser, eventController.getEvent);
+router.get('/:id/ics', protectUser, eventController.getEventCalendar);
+router.post('/', protect, requirePermission('events:create'), createEventValidation, handleValidationErrors, eventController.createEvent);
+router.put('/:id', protect, requirePermission('events:update'), updateEventValidation, handleValidationErrors, eventController.updateEvent);
+router.delete('/:id', protect, requirePermission('events:delete'), deleteEventValidation, handleValidationErrors, eventController.deleteEvent);
+router.post('/:id/cancel', protect, requirePermission('events:update'), cancelEventValidation, handleValidationErrors, eventController.cancelEvent);
+router.post('/:id/participate', protectUser, requireVerifiedEmail, eventController.participateInEvent);
+router.delete('/:id/participate', protectUser, eventController.removeParticipation);
+router.get('/:id/eligibility', protectUser, eventController.getEligibility);
+router.get('/:id/waitlist', protectUser, eventController.getWaitlistStatus);
+router.delete('/:id/waitlist', protectUser, eventController.leaveWaitlist);
+router.get('/:id/checkin-code', protect, requirePermission('events:checkin'), eventController.getCheckInCode);
+router.post('/:id/checkin', protectUser, requireVerifiedEmail, checkInValidation, handleValidationErrors, eventController.checkIn);
+router.post('/:id/checkin/:userId', protect, requirePermission('events:checkin'), eventController.manualCheckIn);
+router.get('/:id/attendance', protect, requirePermission('events:checkin'), eventController.getAttendance);
+router.post('/:id/attendance/finalize', protect, requirePermission('events:checkin'), eventController.finalizeAttendance);
+router.post('/:id/award-points', protect, requirePermission('points:award'), awardPointsValidation, handleValidationErrors, eventController.awardPointsForEvent);
 
 module.exports = router;
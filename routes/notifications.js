@@ -0,0 +1,29 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requireUserSession } = require('../middleware/auth');
+const notificationController = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Validation rules
+const getNotificationsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+router.use(protect, requireUserSession);
+
+// Routes
+router.get('/', getNotificationsValidation, handleValidationErrors, notificationController.getNotifications);
+router.put('/read-all', notificationController.markAllAsRead);
+router.put('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
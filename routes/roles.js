@@ -0,0 +1,60 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const roleController = require('../controllers/roleController');
+
+const router = express.Router();
+
+// Validation rules
+const createRoleValidation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Role name must be 2-30 lowercase letters, numbers, dashes or underscores'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+const updateRoleValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission')
+];
+
+// All role management requires the roles:manage permission
+router.use(protect, requirePermission('roles:manage'));
+
+// Routes
+router.get('/', roleController.getRoles);
+router.get('/permissions', roleController.getPermissions);
+router.post('/', createRoleValidation, handleValidationErrors, roleController.createRole);
+router.put('/:id', updateRoleValidation, handleValidationErrors, roleController.updateRole);
+router.delete('/:id', roleController.deleteRole);
+
+module.exports = router;
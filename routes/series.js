@@ -0,0 +1,131 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { isActiveEventDepartment, isTimeZone, eligibilityValidation } = require('../middleware/validation');
+const { protect, protectUser, requirePermission } = require('../middleware/auth');
+const { DAY_CODES, FREQUENCIES } = require('../utils/recurrence');
+const seriesController = require('../controllers/seriesController');
+
+const router = express.Router();
+
+// Validation rules
+const createSeriesValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Series title is required')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Series description is required')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Description must be between 10 and 500 characters'),
+  
+  body('type')
+    .isIn(['academic', 'sports', 'extracurricular'])
+    .withMessage('Event type must be academic, sports, or extracurricular'),
+  
+  body('points')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Points must be between 1 and 1000'),
+  
+  body('department')
+    .custom(isActiveEventDepartment)
+    .withMessage('Invalid department'),
+  
+  body('startAt')
+    .isISO8601()
+    .withMessage('Please provide a valid start time for the first occurrence')
+    .custom((value) => {
+      if (new Date(value) < new Date()) {
+        throw new Error('Series cannot start in the past');
+      }
+      return true;
+    }),
+  
+  body('endAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end time')
+    .custom((value, { req }) => {
+      if (new Date(value) <= new Date(req.body.startAt)) {
+        throw new Error('Event must end after it starts');
+      }
+      return true;
+    }),
+  
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be a positive number of minutes')
+    .toInt(),
+  
+  body('registrationCloseMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Registration close must be a non-negative number of minutes')
+    .toInt(),
+  
+  body('maxParticipants')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Max participants must be a positive integer'),
+  
+  body('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Unknown time zone'),
+  
+  body()
+    .custom(value => Boolean(value.rrule || value.recurrence))
+    .withMessage('A recurrence rule (rrule or recurrence) is required'),
+  
+  body('rrule')
+    .optional()
+    .isString()
+    .withMessage('rrule must be a string such as FREQ=WEEKLY;BYDAY=MO;COUNT=10'),
+  
+  body('recurrence.freq')
+    .if(body('recurrence').exists())
+    .isIn(FREQUENCIES)
+    .withMessage('Recurrence frequency must be daily or weekly'),
+  
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurrence interval must be a positive integer')
+    .toInt(),
+  
+  body('recurrence.byDay')
+    .optional()
+    .isArray()
+    .withMessage('Recurrence days must be an array'),
+  
+  body('recurrence.byDay.*')
+    .isIn(DAY_CODES)
+    .withMessage(`Recurrence days must be among ${DAY_CODES.join(', ')}`),
+  
+  body('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence end must be a valid date'),
+  
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Recurrence count must be a positive integer')
+    .toInt(),
+  
+  ...eligibilityValidation
+];
+
+// Routes
+router.get('/', protectUser, seriesController.getSeries);
+router.get('/:id', protectUser, seriesController.getSeriesById);
+router.post('/', protect, requirePermission('events:create'), createSeriesValidation, handleValidationErrors, seriesController.createSeries);
+router.delete('/:id', protect, requirePermission('events:delete'), seriesController.deleteSeries);
+
+module.exports = router;
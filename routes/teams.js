@@ -0,0 +1,47 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, protectUser, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const teamController = require('../controllers/teamController');
+
+const router = express.Router();
+
+// Validation rules
+const eventQueryValidation = [
+  query('event')
+    .isMongoId()
+    .withMessage('A valid event ID is required')
+];
+
+const createTeamValidation = [
+  body('event')
+    .isMongoId()
+    .withMessage('A valid event ID is required'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Team name is required')
+    .isLength({ max: 50 })
+    .withMessage('Team name cannot exceed 50 characters')
+];
+
+const joinTeamValidation = [
+  body('inviteCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Invite code is required')
+];
+
+// Routes
+router.get('/', protectUser, eventQueryValidation, handleValidationErrors, teamController.getTeams);
+router.get('/mine', protectUser, eventQueryValidation, handleValidationErrors, teamController.getMyTeam);
+router.post('/', protectUser, requireVerifiedEmail, createTeamValidation, handleValidationErrors, teamController.createTeam);
+router.post('/join', protectUser, requireVerifiedEmail, joinTeamValidation, handleValidationErrors, teamController.joinTeam);
+router.post('/:id/leave', protectUser, teamController.leaveTeam);
+router.post('/:id/invite-code', protectUser, teamController.regenerateInviteCode);
+router.post('/:id/checkin', protect, requirePermission('events:checkin'), teamController.checkInTeam);
+router.delete('/:id/members/:userId', protectUser, teamController.removeMember);
+router.delete('/:id', protectUser, teamController.disbandTeam);
+
+module.exports = router;
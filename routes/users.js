@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/errorHandler');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectUser, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { isActiveDepartment, isActiveAcademicYear, isKnownDepartment } = require('../middleware/validation');
+const { resolveDepartment } = require('../utils/departments');
 const userController = require('../controllers/userController');
 
 const router = express.Router();
@@ -16,19 +18,12 @@ const updateUserValidation = [
   
   body('department')
     .optional()
-    .isIn([
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology'
-    ])
+    .custom(isActiveDepartment)
     .withMessage('Invalid department'),
   
   body('year')
     .optional()
-    .isIn(['1st Year', '2nd Year', '3rd Year', '4th Year'])
+    .custom(isActiveAcademicYear)
     .withMessage('Invalid year'),
   
   body('isActive')
@@ -50,28 +45,135 @@ const getUsersValidation = [
   
   query('department')
     .optional()
-    .isIn([
-      'Computer Science',
-      'Electronics & Communication',
-      'Mechanical Engineering',
-      'Civil Engineering',
-      'Electrical Engineering',
-      'Information Technology'
-    ])
-    .withMessage('Invalid department'),
+    .custom(isKnownDepartment)
+    .withMessage('Invalid department')
+    .customSanitizer(resolveDepartment),
   
   query('role')
     .optional()
-    .isIn(['student', 'admin'])
+    .trim()
+    .isLength({ min: 2, max: 30 })
     .withMessage('Invalid role')
 ];
 
+const getLeaderboardValidation = [
+  query('department')
+    .optional()
+    .custom(isKnownDepartment)
+    .withMessage('Invalid department')
+    .customSanitizer(resolveDepartment)
+];
+
+const pointsHistoryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('sourceType')
+    .optional()
+    .isIn(['event', 'achievement', 'adjustment', 'reversal'])
+    .withMessage('Invalid source type')
+];
+
+const streakValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Days must be between 1 and 366')
+];
+
+const adjustPointsValidation = [
+  body('amount')
+    .isInt({ min: -10000, max: 10000 })
+    .withMessage('Amount must be a whole number between -10000 and 10000')
+    .not()
+    .equals('0')
+    .withMessage('Amount cannot be zero')
+    .toInt(),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+const getLoginAttemptsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('Please provide a valid IP address'),
+  
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('Since must be a valid date')
+];
+
+const assignRoleValidation = [
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+];
+
+const updateScopeValidation = [
+  body('global')
+    .optional()
+    .isBoolean()
+    .withMessage('global must be a boolean'),
+  
+  body('departments')
+    .optional()
+    .isArray()
+    .withMessage('Departments must be an array'),
+  
+  body('departments.*')
+    .custom(isActiveDepartment)
+    .withMessage('Invalid department')
+];
+
 // Routes
-router.get('/', protect, authorize('admin'), getUsersValidation, handleValidationErrors, userController.getUsers);
-router.get('/leaderboard', protect, userController.getLeaderboard);
-router.get('/profile/:id', protect, userController.getUserProfile);
-router.put('/:id', protect, authorize('admin'), updateUserValidation, handleValidationErrors, userController.updateUser);
-router.delete('/:id', protect, authorize('admin'), userController.deleteUser);
-router.get('/stats', protect, authorize('admin'), userController.getUserStats);
+router.get('/', protect, requirePermission('users:read'), getUsersValidation, handleValidationErrors, userController.getUsers);
+router.get('/leaderboard', protectUser, requireVerifiedEmail, getLeaderboardValidation, handleValidationErrors, userController.getLeaderboard);
+router.get('/profile/:id', protectUser, userController.getUserProfile);
+router.get('/:id/points/history', protectUser, pointsHistoryValidation, handleValidationErrors, userController.getPointsHistory);
+router.get('/:id/streak', protectUser, streakValidation, handleValidationErrors, userController.getStreak);
+router.post('/:id/points/adjust', protect, requirePermission('points:adjust'), adjustPointsValidation, handleValidationErrors, userController.adjustUserPoints);
+router.put('/:id', protect, requirePermission('users:manage'), updateUserValidation, handleValidationErrors, userController.updateUser);
+router.delete('/:id', protect, requirePermission('users:manage'), userController.deleteUser);
+router.get('/stats', protect, requirePermission('users:stats'), userController.getUserStats);
+router.get('/login-attempts', protect, requirePermission('security:manage'), getLoginAttemptsValidation, handleValidationErrors, userController.getLoginAttempts);
+router.put('/:id/unlock', protect, requirePermission('security:manage'), userController.unlockUser);
+router.put('/:id/scope', protect, requirePermission('users:manage'), updateScopeValidation, handleValidationErrors, userController.updateUserScope);
+router.put('/:id/role', protect, requirePermission('roles:manage'), assignRoleValidation, handleValidationErrors, userController.assignRole);
+router.delete('/:id/2fa', protect, requirePermission('security:manage'), userController.resetTwoFactor);
 
 module.exports = router;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Admins used to get global scope implicitly when no scope was assigned.
+// Scope is now only global when it says so, so this records it explicitly
+// for the admins that relied on the old default. Admins with departments
+// assigned are left alone. Run it once when upgrading, before anyone is
+// promoted to admin under the new rules.
+//
+// Usage: node scripts/migrateAdminScope.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for admin scope migration...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migrateAdminScope = async () => {
+  try {
+    await connectDB();
+
+    const unscopedAdmins = {
+      role: 'admin',
+      'adminScope.global': { $ne: true },
+      $or: [
+        { 'adminScope.departments': { $exists: false } },
+        { 'adminScope.departments': { $size: 0 } }
+      ]
+    };
+
+    const admins = await User.find(unscopedAdmins).select('name email');
+    admins.forEach(admin => console.log(`${DRY_RUN ? 'Would grant' : 'Granting'} global scope to ${admin.name} (${admin.email})`));
+
+    if (!DRY_RUN && admins.length > 0) {
+      await User.updateMany(
+        { _id: { $in: admins.map(admin => admin._id) } },
+        { $set: { 'adminScope.global': true } }
+      );
+    }
+
+    console.log(`\n✅ ${admins.length} admin(s) ${DRY_RUN ? 'would be' : 'were'} given explicit global scope`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Admin scope migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateAdminScope();
+}
+
+module.exports = { migrateAdminScope };
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+require('dotenv').config();
+
+// Joining an event used to credit its points straight away. Those participant
+// entries have no status and no pointsEarned, so they would be read as
+// uncredited registrations: the student could cancel and keep the points, or
+// check in and be credited a second time. This marks every legacy participant
+// whose points were credited as attended with the amount from the user's
+// eventsParticipated entry; the rest become plain registrations. Run it once
+// when upgrading; entries that already have a status are left alone.
+//
+// Usage: node scripts/migrateAttendance.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for attendance migration...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const LEGACY = { 'participants.status': { $exists: false } };
+
+// userId -> credit the user holds for `eventId`
+const loadCredits = async (eventId, userIds) => {
+  const users = await User.find(
+    { _id: { $in: userIds }, 'eventsParticipated.eventId': eventId },
+    { 'eventsParticipated.$': 1 }
+  ).lean();
+
+  return new Map(users.map(user => [user._id.toString(), user.eventsParticipated[0]]));
+};
+
+const migrateAttendance = async () => {
+  try {
+    await connectDB();
+
+    let attended = 0;
+    let registered = 0;
+
+    // Read raw documents so schema defaults don't hide the missing status
+    for await (const event of Event.find(LEGACY).select('title participants').lean().cursor()) {
+      const legacy = event.participants.filter(participant => participant.status === undefined);
+      const credits = await loadCredits(event._id, legacy.map(participant => participant.userId));
+
+      const updates = legacy.map(participant => {
+        const credit = credits.get(participant.userId.toString());
+        const set = credit
+          ? {
+            'participants.$.status': 'attended',
+            'participants.$.pointsEarned': credit.pointsEarned || 0,
+            'participants.$.checkedInAt': credit.participatedAt || participant.participatedAt
+          }
+          : {
+            'participants.$.status': 'registered',
+            'participants.$.pointsEarned': 0
+          };
+
+        return {
+          updateOne: {
+            filter: {
+              _id: event._id,
+              participants: { $elemMatch: { userId: participant.userId, status: { $exists: false } } }
+            },
+            update: { $set: set }
+          }
+        };
+      });
+
+      const credited = legacy.filter(participant => credits.has(participant.userId.toString())).length;
+      attended += credited;
+      registered += legacy.length - credited;
+      console.log(`${DRY_RUN ? 'Would update' : 'Updating'} "${event.title}": ${credited} attended, ${legacy.length - credited} registered`);
+
+      if (!DRY_RUN && updates.length > 0) {
+        await Event.bulkWrite(updates);
+      }
+    }
+
+    console.log(`\n✅ ${attended} participant(s) ${DRY_RUN ? 'would be' : 'were'} marked attended, ${registered} registered`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Attendance migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateAttendance();
+}
+
+module.exports = { migrateAttendance, LEGACY };
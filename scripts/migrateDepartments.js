@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
+const { ALL_DEPARTMENTS } = require('../config/departments');
+const {
+  renameDepartmentReferences,
+  countDepartmentValues,
+  countAcademicYearValues
+} = require('../utils/departmentReferences');
+require('dotenv').config();
+
+// Moves stored department names onto the department registry. Events used
+// short names ("Computer Science") while users used full ones ("Computer
+// Science Engineering"); every former name listed as a department alias is
+// rewritten to the canonical name on users, events and series. Values that
+// match no department or year are reported so they can be fixed by hand.
+//
+// Usage: node scripts/migrateDepartments.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for department migration...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migrateDepartmentValues = async () => {
+  const departments = await Department.find();
+  const canonical = new Set([ALL_DEPARTMENTS, ...departments.map(department => department.name)]);
+  const aliases = new Map();
+  departments.forEach(department => {
+    department.aliases.forEach(alias => aliases.set(alias, department.name));
+  });
+
+  const unknown = [];
+  const counts = await countDepartmentValues();
+
+  for (const [value, count] of counts) {
+    if (canonical.has(value)) {
+      continue;
+    }
+
+    const target = aliases.get(value);
+    if (!target) {
+      unknown.push(`${value} (${count})`);
+      continue;
+    }
+
+    if (DRY_RUN) {
+      console.log(`Would rename "${value}" to "${target}" on ${count} record(s)`);
+    } else {
+      const modified = await renameDepartmentReferences(value, target);
+      console.log(`Renamed "${value}" to "${target}" on ${modified} record(s)`);
+    }
+  }
+
+  return unknown;
+};
+
+const findUnknownYears = async () => {
+  const years = new Set((await AcademicYear.find()).map(year => year.name));
+  const counts = await countAcademicYearValues();
+
+  return [...counts]
+    .filter(([value]) => !years.has(value))
+    .map(([value, count]) => `${value} (${count})`);
+};
+
+const migrateDepartments = async () => {
+  try {
+    await connectDB();
+
+    // The registry has to exist before values can be mapped onto it
+    await Department.ensureDefaults();
+    await AcademicYear.ensureDefaults();
+
+    console.log(DRY_RUN ? '🔍 Dry run, nothing will be changed\n' : '🔄 Migrating department names...\n');
+
+    const unknownDepartments = await migrateDepartmentValues();
+    const unknownYears = await findUnknownYears();
+
+    if (unknownDepartments.length > 0) {
+      console.warn(`\n⚠️  Departments not in the registry: ${unknownDepartments.join(', ')}`);
+    }
+    if (unknownYears.length > 0) {
+      console.warn(`⚠️  Academic years not in the registry: ${unknownYears.join(', ')}`);
+    }
+
+    await mongoose.connection.close();
+
+    if (unknownDepartments.length > 0 || unknownYears.length > 0) {
+      console.warn('Add them (or an alias) through /api/departments and run the migration again');
+      process.exit(1);
+    }
+
+    console.log('\n🎉 Department migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Department migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateDepartments();
+}
+
+module.exports = { migrateDepartments };
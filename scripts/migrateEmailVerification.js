@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Marks accounts created before email verification existed as verified.
+// Those documents have no isEmailVerified field at all; accounts registered
+// since then store false until their link is opened, so they are left alone.
+// Without this, existing students drop off the leaderboard and can't join
+// events after the upgrade. Safe to run more than once.
+//
+// Usage: node scripts/migrateEmailVerification.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for email verification migration...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migrateEmailVerification = async () => {
+  try {
+    await connectDB();
+
+    const legacy = { isEmailVerified: { $exists: false } };
+
+    if (DRY_RUN) {
+      const count = await User.countDocuments(legacy);
+      console.log(`🔍 Would mark ${count} existing account(s) as verified`);
+    } else {
+      const result = await User.updateMany(legacy, { $set: { isEmailVerified: true } });
+      console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Email verification migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateEmailVerification();
+}
+
+module.exports = { migrateEmailVerification };
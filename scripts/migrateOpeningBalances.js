@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const PointTransaction = require('../models/PointTransaction');
+require('dotenv').config();
+
+// Records the points users had before the points ledger existed as a single
+// "Opening balance" adjustment, so their history adds up to their total.
+// Only users with points and no ledger entries at all are touched, so it is
+// safe to run more than once. Run it once when upgrading.
+//
+// Usage: node scripts/migrateOpeningBalances.js [--dry-run]
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for opening balance migration...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migrateOpeningBalances = async () => {
+  try {
+    await connectDB();
+
+    if (DRY_RUN) {
+      const usersWithLedger = await PointTransaction.distinct('user');
+      const count = await User.countDocuments({ _id: { $nin: usersWithLedger }, totalPoints: { $ne: 0 } });
+      console.log(`🔍 Would record an opening balance for ${count} user(s)`);
+    } else {
+      const count = await User.backfillOpeningBalances();
+      console.log(`✅ Recorded an opening balance for ${count} user(s)`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Opening balance migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the migration if this file is executed directly
+if (require.main === module) {
+  migrateOpeningBalances();
+}
+
+module.exports = { migrateOpeningBalances };
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Achievement = require('../models/Achievement');
+const PointTransaction = require('../models/PointTransaction');
+const { runInTransaction } = require('../utils/transaction');
+const { findEarnedAchievements, grantAchievement, revokeAchievements, THRESHOLD_TYPES } = require('../utils/achievements');
+const { LEGACY: LEGACY_PARTICIPANTS } = require('./migrateAttendance');
+require('dotenv').config();
+
+// Recomputes every user's points, level and achievements from what they
+// actually did, and reports where the stored values differ:
+//
+// - event credits come from attended participations on events that were not
+//   cancelled or deleted
+// - threshold achievements are re-evaluated from those credits; streak and
+//   custom achievements the user holds are kept, and missing streak
+//   achievements are granted from the recorded streak
+// - adjustments made by staff are kept; system adjustments such as earlier
+//   reconciliations are replaced
+// - of an opening balance, the part not explained by the event credits and
+//   achievements the user already had when it was recorded is kept
+//
+// --fix is refused until the attendance and opening balance migrations have
+// run, since legacy points would otherwise look unearned and be taken back.
+//
+// With --fix every difference is corrected through the points ledger, so the
+// history shows what changed and why.
+//
+// Usage: node scripts/reconcileUsers.js [--fix]
+
+const FIX = process.argv.includes('--fix');
+const REASON = 'Reconciliation';
+const OPENING_BALANCE = 'Opening balance';
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for reconciliation...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+// userId -> [{ eventId, title, pointsEarned, participatedAt }] for every credited attendance
+const loadAttendance = async () => {
+  const attendance = new Map();
+  const events = Event.find({
+    isActive: true,
+    status: { $ne: 'cancelled' },
+    'participants.status': 'attended'
+  }).select('title participants').cursor();
+
+  for await (const event of events) {
+    for (const participant of event.participants) {
+      if (participant.status !== 'attended' || !participant.pointsEarned) {
+        continue;
+      }
+
+      const key = participant.userId.toString();
+      if (!attendance.has(key)) {
+        attendance.set(key, []);
+      }
+      attendance.get(key).push({
+        eventId: event._id,
+        title: event.title,
+        pointsEarned: participant.pointsEarned,
+        participatedAt: participant.checkedInAt || participant.participatedAt
+      });
+    }
+  }
+
+  return attendance;
+};
+
+// Upgrade migrations that still have work to do, as the commands that run them
+const findPendingMigrations = async () => {
+  const pending = [];
+
+  if (await Event.exists(LEGACY_PARTICIPANTS)) {
+    pending.push('npm run migrate:attendance');
+  }
+
+  const usersWithLedger = await PointTransaction.distinct('user');
+  if (await User.exists({ _id: { $nin: usersWithLedger }, totalPoints: { $ne: 0 } })) {
+    pending.push('npm run migrate:balances');
+  }
+
+  return pending;
+};
+
+// Points from before the ledger that no event credit or achievement accounts
+// for, such as points awarded by hand; those credits are recomputed anyway
+const carriedOverPoints = async (user) => {
+  const opening = await PointTransaction.findOne({
+    user: user._id,
+    sourceType: 'adjustment',
+    actor: null,
+    reason: OPENING_BALANCE
+  });
+  if (!opening) {
+    return 0;
+  }
+
+  const before = (date) => date && date < opening.createdAt;
+  const explained = user.eventsParticipated
+    .filter(entry => before(entry.participatedAt))
+    .reduce((sum, entry) => sum + (entry.pointsEarned || 0), 0) +
+    user.achievements
+      .filter(userAchievement => before(userAchievement.earnedAt))
+      .reduce((sum, userAchievement) => sum + (userAchievement.points || 0), 0);
+
+  return opening.amount - explained;
+};
+
+// Compare one user's stored state with what it should be
+const planUser = async (user, attended, achievements) => {
+  const thresholdIds = new Set(
+    achievements.filter(achievement => THRESHOLD_TYPES.includes(achievement.requirements.type))
+      .map(achievement => achievement._id.toString())
+  );
+  const byId = new Map(achievements.map(achievement => [achievement._id.toString(), achievement]));
+
+  // Event credits
+  const stored = new Map(user.eventsParticipated.map(entry => [entry.eventId.toString(), entry]));
+  const expected = new Map(attended.map(entry => [entry.eventId.toString(), entry]));
+
+  const missingEvents = attended.filter(entry => {
+    const credit = stored.get(entry.eventId.toString());
+    return !credit || credit.pointsEarned !== entry.pointsEarned;
+  });
+  const extraEvents = user.eventsParticipated.filter(entry => {
+    const credit = expected.get(entry.eventId.toString());
+    return !credit || credit.pointsEarned !== entry.pointsEarned;
+  });
+
+  // Points that don't come from events or threshold achievements
+  const staffAdjustments = await PointTransaction.aggregate([
+    { $match: { user: user._id, sourceType: 'adjustment', actor: { $ne: null } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  const keptAchievements = user.achievements.filter(
+    userAchievement => !thresholdIds.has(userAchievement.achievementId.toString())
+  );
+  const basePoints = attended.reduce((sum, entry) => sum + entry.pointsEarned, 0) +
+    (staffAdjustments[0] ? staffAdjustments[0].total : 0) +
+    keptAchievements.reduce((sum, userAchievement) => sum + (userAchievement.points || 0), 0) +
+    await carriedOverPoints(user);
+
+  // Threshold achievements earned from scratch with those points
+  const earned = findEarnedAchievements({
+    totalPoints: basePoints,
+    eventsParticipated: attended,
+    streak: user.streak,
+    achievements: keptAchievements
+  }, achievements);
+  const earnedIds = new Set(earned.map(achievement => achievement._id.toString()));
+  const heldIds = new Set(user.achievements.map(userAchievement => userAchievement.achievementId.toString()));
+
+  const missingAchievements = earned.filter(achievement => !heldIds.has(achievement._id.toString()));
+  const extraAchievements = user.achievements
+    .filter(userAchievement => {
+      const id = userAchievement.achievementId.toString();
+      return thresholdIds.has(id) && !earnedIds.has(id);
+    })
+    .map(userAchievement => ({
+      achievement: byId.get(userAchievement.achievementId.toString()),
+      points: userAchievement.points || 0
+    }));
+
+  const totalPoints = basePoints + earned.reduce((sum, achievement) => sum + achievement.points, 0);
+  const balance = await PointTransaction.getBalance(user._id);
+
+  return {
+    missingEvents,
+    extraEvents,
+    missingAchievements,
+    extraAchievements,
+    totalPoints,
+    level: User.levelForPoints(totalPoints),
+    balance
+  };
+};
+
+const describe = (user, plan) => {
+  const issues = [];
+
+  plan.missingEvents.forEach(entry => issues.push(`missing ${entry.pointsEarned} points for "${entry.title}"`));
+  plan.extraEvents.forEach(entry => issues.push(`${entry.pointsEarned} points for an event ${entry.eventId} with no matching attendance`));
+  plan.missingAchievements.forEach(achievement => issues.push(`missing achievement "${achievement.title}"`));
+  plan.extraAchievements.forEach(({ achievement }) => issues.push(`holds achievement "${achievement.title}" without meeting it`));
+
+  if (user.totalPoints !== plan.totalPoints) {
+    issues.push(`totalPoints ${user.totalPoints}, expected ${plan.totalPoints}`);
+  }
+  if (user.level !== plan.level) {
+    issues.push(`level ${user.level}, expected ${plan.level}`);
+  }
+  if (plan.balance !== plan.totalPoints) {
+    issues.push(`ledger balance ${plan.balance}, expected ${plan.totalPoints}`);
+  }
+
+  return issues;
+};
+
+// Apply a plan through the same ledger-backed helpers the API uses
+const fixUser = async (user, plan) => {
+  for (const entry of plan.extraEvents) {
+    await runInTransaction(session => User.reverseEventPoints(user._id, entry.eventId, { session, reason: REASON }));
+  }
+
+  for (const entry of plan.missingEvents) {
+    await runInTransaction(async (session) => {
+      // A credit with the wrong amount was reversed above; this adds the right one
+      await User.creditEventPoints(user._id, entry.eventId, entry.pointsEarned, {
+        session,
+        reason: `${REASON}: ${entry.title}`
+      });
+    });
+  }
+
+  await runInTransaction(session => revokeAchievements(user._id, plan.extraAchievements, { session, reason: REASON }));
+
+  for (const achievement of plan.missingAchievements) {
+    await runInTransaction(session => grantAchievement(user._id, achievement, { session }));
+  }
+
+  // Whatever is left was changed outside the ledger. The ledger becomes the
+  // total, and a single entry brings it to the expected value.
+  await runInTransaction(async (session) => {
+    const balance = await PointTransaction.getBalance(user._id, { session });
+    await User.updateOne({ _id: user._id }, { $set: { totalPoints: balance } }, { session });
+
+    if (balance !== plan.totalPoints) {
+      await User.adjustPoints(user._id, plan.totalPoints - balance, { reason: REASON, session });
+    } else {
+      await User.syncLevel(user._id, { session });
+    }
+  });
+};
+
+const reconcileUsers = async () => {
+  try {
+    await connectDB();
+
+    const pending = await findPendingMigrations();
+    if (pending.length > 0) {
+      console.log(`⚠️  Upgrade migrations have not run yet: ${pending.join(', ')}`);
+      if (FIX) {
+        console.error('❌ Refusing to fix anything until they have run; points from before the upgrade would be taken back');
+        await mongoose.connection.close();
+        process.exit(1);
+      }
+      console.log('   Differences below may only be legacy records\n');
+    }
+
+    console.log(FIX ? '🔧 Reconciling users and fixing differences...\n' : '🔍 Reconciling users (report only, use --fix to correct)\n');
+
+    const [attendance, achievements] = await Promise.all([
+      loadAttendance(),
+      Achievement.find({ isActive: true })
+    ]);
+
+    let checked = 0;
+    let inconsistent = 0;
+
+    for await (const user of User.find().cursor()) {
+      checked += 1;
+
+      const plan = await planUser(user, attendance.get(user._id.toString()) || [], achievements);
+      const issues = describe(user, plan);
+      if (issues.length === 0) {
+        continue;
+      }
+
+      inconsistent += 1;
+      console.log(`${user.name} (${user.studentId || user.email}):`);
+      issues.forEach(issue => console.log(`  - ${issue}`));
+
+      if (FIX) {
+        await fixUser(user, plan);
+        console.log('  ✅ fixed');
+      }
+    }
+
+    console.log(`\n📋 Checked ${checked} user(s), ${inconsistent} with differences`);
+    await mongoose.connection.close();
+
+    // A report with differences fails, so it can guard deployments
+    process.exit(inconsistent > 0 && !FIX ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run the reconciliation if this file is executed directly
+if (require.main === module) {
+  reconcileUsers();
+}
+
+module.exports = { reconcileUsers };
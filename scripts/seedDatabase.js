@@ -2,6 +2,11 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const Achievement = require('../models/Achievement');
+const Role = require('../models/Role');
+const PointTransaction = require('../models/PointTransaction');
+const Activity = require('../models/Activity');
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
 require('dotenv').config();
 
 const connectDB = async () => {
@@ -16,8 +21,10 @@ const connectDB = async () => {
 
 const seedUsers = async () => {
   try {
-    // Clear existing users
+    // Clear existing users, their point history and activity
     await User.deleteMany({});
+    await PointTransaction.deleteMany({});
+    await Activity.deleteMany({});
 
     // Create admin user
     const admin = await User.create({
@@ -26,7 +33,9 @@ const seedUsers = async () => {
       password: 'admin123',
       role: 'admin',
       department: 'Computer Science Engineering',
-      year: '4th Year'
+      year: '4th Year',
+      isEmailVerified: true,
+      adminScope: { global: true }
     });
     
     console.log('Admin password hash:', admin.password);
@@ -82,10 +91,13 @@ const seedUsers = async () => {
     // Create students individually to ensure password hashing
     const createdStudents = [];
     for (const studentData of students) {
-      const student = await User.create(studentData);
+      const student = await User.create({ ...studentData, isEmailVerified: true });
       createdStudents.push(student);
     }
 
+    // Demo point totals are recorded in the ledger as opening balances
+    await User.backfillOpeningBalances();
+
     console.log('✅ Users seeded successfully');
     console.log(`Admin: ${admin.email}`);
     console.log(`Students: ${createdStudents.length} created`);
@@ -167,6 +179,20 @@ const seedAchievements = async (adminId) => {
         },
         icon: 'star',
         createdBy: adminId
+      },
+      {
+        title: 'Week Warrior',
+        description: 'Stay active on campus seven days in a row',
+        category: 'special',
+        rarity: 'rare',
+        points: 150,
+        requirements: {
+          type: 'streak',
+          value: 7,
+          period: 'daily'
+        },
+        icon: 'flame',
+        createdBy: adminId
       }
     ];
 
@@ -193,7 +219,7 @@ const seedEvents = async (adminId) => {
         description: 'Comprehensive exam covering all data structures concepts',
         type: 'academic',
         points: 200,
-        department: 'Computer Science',
+        department: 'Computer Science Engineering',
         date: new Date('2024-03-10'),
         status: 'completed',
         createdBy: adminId
@@ -223,7 +249,7 @@ const seedEvents = async (adminId) => {
         description: 'Practical exam on database design and implementation',
         type: 'academic',
         points: 150,
-        department: 'Computer Science',
+        department: 'Computer Science Engineering',
         date: new Date('2024-03-20'),
         status: 'upcoming',
         createdBy: adminId
@@ -258,6 +284,13 @@ const seedDatabase = async () => {
     
     console.log('🌱 Starting database seeding...');
     
+    // Roles must exist before users can be assigned to them
+    await Role.ensureDefaults();
+
+    // Departments and years must exist before users and events can use them
+    await Department.ensureDefaults();
+    await AcademicYear.ensureDefaults();
+
     // Seed users first
     const { admin, students } = await seedUsers();
     
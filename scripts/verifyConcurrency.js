@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Role = require('../models/Role');
+const PointTransaction = require('../models/PointTransaction');
+const Notification = require('../models/Notification');
+const Activity = require('../models/Activity');
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
+const participation = require('../utils/participation');
+require('dotenv').config();
+
+// Fires parallel registrations and check-ins at a throwaway event and checks
+// that capacity and point totals hold. Everything it creates is tagged and
+// removed afterwards, so it is safe to run against a development database.
+
+const TAG = `concurrency-${Date.now()}`;
+const CAPACITY = 5;
+const STUDENTS = 20;
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected for concurrency check...');
+  } catch (error) {
+    console.error('Database connection error:', error.message);
+    process.exit(1);
+  }
+};
+
+const createFixtures = async () => {
+  const organizer = await User.create({
+    name: 'Concurrency Organizer',
+    email: `${TAG}-organizer@mce.edu`,
+    password: 'concurrency123',
+    role: 'admin',
+    department: 'Computer Science Engineering',
+    year: '4th Year',
+    isEmailVerified: true,
+    adminScope: { global: true }
+  });
+
+  const students = [];
+  for (let i = 0; i < STUDENTS; i++) {
+    students.push(await User.create({
+      name: `Concurrency Student ${i + 1}`,
+      email: `${TAG}-student${i + 1}@mce.edu`,
+      password: 'concurrency123',
+      department: 'Computer Science Engineering',
+      year: '2nd Year',
+      studentId: `${TAG}-${i + 1}`,
+      isEmailVerified: true
+    }));
+  }
+
+  const event = await Event.create({
+    title: `Concurrency check ${TAG}`,
+    description: 'Temporary event created by scripts/verifyConcurrency.js',
+    type: 'academic',
+    points: 50,
+    department: 'Computer Science Engineering',
+    date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    maxParticipants: CAPACITY,
+    createdBy: organizer._id
+  });
+
+  return { organizer, students, event };
+};
+
+const cleanup = async () => {
+  const users = await User.find({ email: new RegExp(`^${TAG}-`) }).select('_id');
+  const userIds = users.map(user => user._id);
+  // Waitlist offers, achievements and check-in streaks leave records of their own
+  await PointTransaction.deleteMany({ user: { $in: userIds } });
+  await Notification.deleteMany({ user: { $in: userIds } });
+  await Activity.deleteMany({ user: { $in: userIds } });
+  await Event.deleteMany({ title: `Concurrency check ${TAG}` });
+  await User.deleteMany({ _id: { $in: userIds } });
+};
+
+const check = (failures, condition, message) => {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) {
+    failures.push(message);
+  }
+};
+
+const verifyConcurrency = async () => {
+  const failures = [];
+
+  try {
+    await connectDB();
+    await Role.ensureDefaults();
+    await Department.ensureDefaults();
+    await AcademicYear.ensureDefaults();
+
+    const { organizer, students, event } = await createFixtures();
+
+    // Everyone races for the same few seats
+    const registrations = await Promise.allSettled(
+      students.map(student => participation.registerParticipant(event._id, student._id))
+    );
+    const registered = registrations.filter(
+      result => result.status === 'fulfilled' && result.value.status === 'registered'
+    );
+
+    let fresh = await Event.findById(event._id);
+    check(failures, registered.length === CAPACITY, `${registered.length} of ${STUDENTS} registrations succeeded (capacity ${CAPACITY})`);
+    check(failures, fresh.participants.length === CAPACITY, `Event holds ${fresh.participants.length} participants`);
+    check(failures, fresh.waitlist.length === STUDENTS - CAPACITY, `Waitlist holds ${fresh.waitlist.length} students`);
+
+    // The same attendance credited several times at once must count once
+    const attendee = fresh.participants[0].userId;
+    await Promise.allSettled(
+      Array.from({ length: 5 }, () => participation.creditAttendance(event._id, attendee, {
+        method: 'manual',
+        checkedInBy: organizer._id,
+        walkIn: true
+      }))
+    );
+
+    const user = await User.findById(attendee);
+    check(failures, user.totalPoints === event.points, `Attendee has ${user.totalPoints} points (expected ${event.points})`);
+    check(failures, user.eventsParticipated.length === 1, `Attendee has ${user.eventsParticipated.length} event credit(s)`);
+    check(failures, user.level === user.calculateLevel(), `Attendee level ${user.level} matches their points`);
+    const balance = await PointTransaction.getBalance(attendee);
+    check(failures, balance === user.totalPoints, `Point ledger sums to ${balance} (total ${user.totalPoints})`);
+
+    // Cancellations racing with new registrations must not overbook
+    const cancelling = fresh.participants.slice(1, 3).map(participant => participant.userId);
+    await Promise.allSettled([
+      ...cancelling.map(userId => participation.cancelRegistration(event._id, userId)),
+      ...students.map(student => participation.registerParticipant(event._id, student._id))
+    ]);
+
+    fresh = await Event.findById(event._id);
+    check(failures, fresh.participants.length <= CAPACITY, `Event holds ${fresh.participants.length} participants after cancellations`);
+  } catch (error) {
+    console.error('❌ Concurrency check failed:', error);
+    failures.push(error.message);
+  } finally {
+    await cleanup();
+    await mongoose.connection.close();
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+
+  console.log('\n🎉 Participation stayed consistent under concurrent requests');
+  process.exit(0);
+};
+
+// Run the check if this file is executed directly
+if (require.main === module) {
+  verifyConcurrency();
+}
+
+module.exports = { verifyConcurrency };
@@ -12,6 +12,24 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const eventRoutes = require('./routes/events');
 const achievementRoutes = require('./routes/achievements');
+const roleRoutes = require('./routes/roles');
+const apiKeyRoutes = require('./routes/apiKeys');
+const notificationRoutes = require('./routes/notifications');
+const seriesRoutes = require('./routes/series');
+const calendarRoutes = require('./routes/calendar');
+const teamRoutes = require('./routes/teams');
+const departmentRoutes = require('./routes/departments');
+
+// Import models
+const Role = require('./models/Role');
+const Department = require('./models/Department');
+const AcademicYear = require('./models/AcademicYear');
+const Event = require('./models/Event');
+
+// Import lifecycle scheduler
+const { startLifecycleScheduler } = require('./utils/eventLifecycle');
+const { registerDefaultHooks } = require('./utils/lifecycleHooks');
+const { registerAchievementEvaluator } = require('./utils/achievements');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -60,6 +78,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/achievements', achievementRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/apikeys', apiKeyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/departments', departmentRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -77,6 +102,16 @@ const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Make sure the built-in roles exist before any request is served
+    await Role.ensureDefaults();
+
+    // Departments and years are validated against the database, so seed the built-in ones
+    await Department.ensureDefaults();
+    await AcademicYear.ensureDefaults();
+
+    // Events created before start/end times existed need them for the scheduler
+    await Event.backfillSchedule();
   } catch (error) {
     console.error('Database connection error:', error.message);
     process.exit(1);
@@ -88,6 +123,16 @@ const PORT = process.env.PORT || 5003;
 
 const startServer = async () => {
   await connectDB();
+
+  // Award and revoke achievements as points and participation change
+  registerAchievementEvaluator();
+
+  // Move events through upcoming -> ongoing -> completed on time.
+  // Set EVENT_SCHEDULER_ENABLED=false on extra instances to run it in one place.
+  registerDefaultHooks();
+  if (process.env.EVENT_SCHEDULER_ENABLED !== 'false') {
+    startLifecycleScheduler();
+  }
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
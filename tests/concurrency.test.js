@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Role = require('../models/Role');
+const PointTransaction = require('../models/PointTransaction');
+const Notification = require('../models/Notification');
+const Activity = require('../models/Activity');
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
+const participation = require('../utils/participation');
+
+// Parallel registrations and check-ins against a replica set, so the
+// transactions the API relies on are exercised as they are in production.
+// Every case starts from its own event and students.
+
+const CAPACITY = 5;
+const STUDENTS = 20;
+
+jest.setTimeout(120000);
+
+let replSet;
+
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await Role.ensureDefaults();
+  await Department.ensureDefaults();
+  await AcademicYear.ensureDefaults();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+  }
+});
+
+const createFixtures = async () => {
+  const organizer = await User.create({
+    name: 'Concurrency Organizer',
+    email: 'organizer@mce.edu',
+    password: 'concurrency123',
+    role: 'admin',
+    department: 'Computer Science Engineering',
+    year: '4th Year',
+    isEmailVerified: true,
+    adminScope: { global: true }
+  });
+
+  const students = [];
+  for (let i = 0; i < STUDENTS; i++) {
+    students.push(await User.create({
+      name: `Concurrency Student ${i + 1}`,
+      email: `student${i + 1}@mce.edu`,
+      password: 'concurrency123',
+      department: 'Computer Science Engineering',
+      year: '2nd Year',
+      studentId: `CONC${i + 1}`,
+      isEmailVerified: true
+    }));
+  }
+
+  const event = await Event.create({
+    title: 'Concurrency check',
+    description: 'Event raced by the concurrency test',
+    type: 'academic',
+    points: 50,
+    department: 'Computer Science Engineering',
+    date: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    maxParticipants: CAPACITY,
+    createdBy: organizer._id
+  });
+
+  return { organizer, students, event };
+};
+
+// Register everyone at once and insist each request got an answer, not a
+// failure from running out of retries
+const registerEveryone = async (event, students) => {
+  const registrations = await Promise.allSettled(
+    students.map(student => participation.registerParticipant(event._id, student._id))
+  );
+
+  registrations.forEach(result => {
+    expect(result.status).toBe('fulfilled');
+    expect(['registered', 'waitlisted']).toContain(result.value.status);
+  });
+
+  return registrations.map(result => result.value);
+};
+
+describe('participation under concurrent requests', () => {
+  let organizer;
+  let students;
+  let event;
+
+  beforeEach(async () => {
+    ({ organizer, students, event } = await createFixtures());
+  });
+
+  afterEach(async () => {
+    await Promise.all([
+      Event.deleteMany({}),
+      User.deleteMany({}),
+      PointTransaction.deleteMany({}),
+      Notification.deleteMany({}),
+      Activity.deleteMany({})
+    ]);
+  });
+
+  it('never registers more students than the event has seats', async () => {
+    const outcomes = await registerEveryone(event, students);
+
+    const fresh = await Event.findById(event._id);
+    expect(outcomes.filter(outcome => outcome.status === 'registered')).toHaveLength(CAPACITY);
+    expect(fresh.participants).toHaveLength(CAPACITY);
+    expect(fresh.waitlist).toHaveLength(STUDENTS - CAPACITY);
+  });
+
+  it('credits the same attendance once', async () => {
+    const attendee = students[0]._id;
+    await participation.registerParticipant(event._id, attendee);
+
+    const credits = await Promise.allSettled(
+      Array.from({ length: 5 }, () => participation.creditAttendance(event._id, attendee, {
+        method: 'manual',
+        checkedInBy: organizer._id,
+        walkIn: true
+      }))
+    );
+
+    // The losers are told the attendance is already recorded
+    expect(credits.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    credits.filter(result => result.status === 'rejected').forEach(result => {
+      expect(result.reason.statusCode).toBe(400);
+    });
+
+    const user = await User.findById(attendee);
+    expect(user.totalPoints).toBe(event.points);
+    expect(user.eventsParticipated).toHaveLength(1);
+    expect(user.level).toBe(user.calculateLevel());
+    expect(await PointTransaction.getBalance(attendee)).toBe(user.totalPoints);
+  });
+
+  it('does not overbook when cancellations race new registrations', async () => {
+    const [first, ...others] = students;
+    const seated = [first, ...others.slice(0, CAPACITY - 1)];
+    for (const student of seated) {
+      await participation.registerParticipant(event._id, student._id);
+    }
+
+    const cancelling = seated.slice(1, 3);
+    const waiting = others.slice(CAPACITY - 1);
+    const [cancellations, registrations] = await Promise.all([
+      Promise.allSettled(cancelling.map(student => participation.cancelRegistration(event._id, student._id))),
+      Promise.allSettled(waiting.map(student => participation.registerParticipant(event._id, student._id)))
+    ]);
+
+    cancellations.forEach(result => expect(result.status).toBe('fulfilled'));
+    registrations.forEach(result => {
+      expect(result.status).toBe('fulfilled');
+      expect(['registered', 'waitlisted']).toContain(result.value.status);
+    });
+
+    const after = await Event.findById(event._id);
+    expect(after.participants.length).toBeLessThanOrEqual(CAPACITY);
+  });
+});
@@ -0,0 +1,196 @@
+const Achievement = require('../models/Achievement');
+const User = require('../models/User');
+const { runInTransaction } = require('./transaction');
+const { notifyUser } = require('./notifications');
+const { on } = require('./domainEvents');
+
+// Every achievement award and revocation goes through here, so an
+// achievement always comes with its bonus points in the ledger and a
+// revoked one always takes them back.
+
+// Requirement types that are revoked once they are no longer met. Streak
+// achievements are awarded here too but kept when the streak ends; custom
+// achievements are only ever granted by hand.
+const THRESHOLD_TYPES = ['points', 'events'];
+
+const isThreshold = (achievement) => THRESHOLD_TYPES.includes(achievement.requirements.type);
+
+// Achievements `user` qualifies for but doesn't hold yet. A bonus can lift the
+// user over another points threshold, so this repeats until nothing new qualifies.
+const findEarnedAchievements = (user, achievements) => {
+  const held = new Set(user.achievements.map(userAchievement => userAchievement.achievementId.toString()));
+  const progress = {
+    totalPoints: user.totalPoints,
+    eventsParticipated: user.eventsParticipated,
+    streak: user.streak
+  };
+  const earned = [];
+
+  let found = true;
+  while (found) {
+    found = false;
+    for (const achievement of achievements) {
+      if (!held.has(achievement._id.toString()) && achievement.checkEligibility(progress)) {
+        held.add(achievement._id.toString());
+        progress.totalPoints += achievement.points;
+        earned.push(achievement);
+        found = true;
+      }
+    }
+  }
+
+  return earned;
+};
+
+// Threshold achievements `user` holds but no longer meets, each with the bonus
+// points it gave. Losing a bonus can drop the user below another points
+// threshold, so this repeats until the rest are all still met.
+const findLapsedAchievements = (user, achievements) => {
+  const byId = new Map(achievements.map(achievement => [achievement._id.toString(), achievement]));
+  let held = user.achievements
+    .map(userAchievement => ({
+      achievement: byId.get(userAchievement.achievementId.toString()),
+      points: userAchievement.points || 0
+    }))
+    .filter(({ achievement }) => achievement && isThreshold(achievement));
+
+  const progress = { totalPoints: user.totalPoints, eventsParticipated: user.eventsParticipated };
+  const lapsed = [];
+
+  let found = true;
+  while (found) {
+    const stillMet = held.filter(({ achievement }) => achievement.checkEligibility(progress));
+    found = stillMet.length < held.length;
+
+    held
+      .filter(entry => !stillMet.includes(entry))
+      .forEach(entry => {
+        progress.totalPoints -= entry.points;
+        lapsed.push(entry);
+      });
+    held = stillMet;
+  }
+
+  return lapsed;
+};
+
+// Give `userId` one achievement and its bonus points. Returns false when the
+// user already had it. Pass a session to make it part of a larger transaction.
+const grantAchievement = async (userId, achievement, { session, actor = null } = {}) => {
+  const result = await User.updateOne(
+    { _id: userId, 'achievements.achievementId': { $ne: achievement._id } },
+    { $push: { achievements: { achievementId: achievement._id, points: achievement.points } } },
+    { session }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await User.adjustPoints(userId, achievement.points, {
+    sourceType: 'achievement',
+    sourceId: achievement._id,
+    actor,
+    reason: achievement.title,
+    session
+  });
+  return true;
+};
+
+// Take back achievements (entries from findLapsedAchievements) and their bonus points
+const revokeAchievements = async (userId, lapsed, { session, actor = null, reason } = {}) => {
+  for (const { achievement, points } of lapsed) {
+    const result = await User.updateOne(
+      { _id: userId, 'achievements.achievementId': achievement._id },
+      { $pull: { achievements: { achievementId: achievement._id } } },
+      { session }
+    );
+
+    if (result.modifiedCount > 0 && points !== 0) {
+      await User.adjustPoints(userId, -points, {
+        sourceType: 'reversal',
+        sourceId: achievement._id,
+        actor,
+        reason: reason || `Achievement revoked: ${achievement.title}`,
+        session
+      });
+    }
+  }
+};
+
+// Bring `userId`'s achievements in line with their points and attendance:
+// revoke threshold achievements they no longer meet, then award everything
+// they now qualify for. Resolves to { awarded, revoked } achievements.
+const evaluateAchievements = async (userId) => {
+  const achievements = await Achievement.find({ isActive: true });
+
+  return await runInTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      return { awarded: [], revoked: [] };
+    }
+
+    const lapsed = findLapsedAchievements(user, achievements);
+    await revokeAchievements(user._id, lapsed, { session });
+
+    // Revoked bonuses lower the total the awards are checked against
+    const current = lapsed.length > 0 ? await User.findById(userId).session(session) : user;
+
+    const awarded = [];
+    for (const achievement of findEarnedAchievements(current, achievements)) {
+      if (await grantAchievement(user._id, achievement, { session })) {
+        awarded.push(achievement);
+      }
+    }
+
+    return { awarded, revoked: lapsed.map(({ achievement }) => achievement) };
+  });
+};
+
+// The achievements awarded by the evaluator, from the results of domainEvents.emit
+const awardedIn = (results) => {
+  return results.flatMap(result => (result && result.awarded) || []);
+};
+
+// Evaluate a user's achievements and tell them what changed
+const evaluateAndNotify = async ({ userId }) => {
+  const changes = await evaluateAchievements(userId);
+
+  for (const achievement of changes.awarded) {
+    await notifyUser(userId, {
+      type: 'achievement.earned',
+      title: `Achievement unlocked: ${achievement.title}`,
+      message: `You earned "${achievement.title}" and ${achievement.points} bonus points.`,
+      data: { achievementId: achievement._id }
+    });
+  }
+
+  for (const achievement of changes.revoked) {
+    await notifyUser(userId, {
+      type: 'achievement.revoked',
+      title: `Achievement revoked: ${achievement.title}`,
+      message: `You no longer meet the requirements for "${achievement.title}", so it and its bonus points have been removed.`,
+      data: { achievementId: achievement._id }
+    });
+  }
+
+  return changes;
+};
+
+// Re-evaluate achievements whenever points, participation or streaks change. Called once at startup.
+const registerAchievementEvaluator = () => {
+  on('points.changed', evaluateAndNotify);
+  on('event.participated', evaluateAndNotify);
+  on('activity.recorded', evaluateAndNotify);
+};
+
+module.exports = {
+  THRESHOLD_TYPES,
+  findEarnedAchievements,
+  findLapsedAchievements,
+  grantAchievement,
+  revokeAchievements,
+  evaluateAchievements,
+  awardedIn,
+  registerAchievementEvaluator
+};
@@ -0,0 +1,188 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Achievement = require('../models/Achievement');
+const { runInTransaction, runAtomically } = require('./transaction');
+const { transitionEvent } = require('./eventLifecycle');
+const { notifyUser } = require('./notifications');
+const { findLapsedAchievements, revokeAchievements } = require('./achievements');
+const { emit } = require('./domainEvents');
+
+const sumPoints = (revoked) => revoked.reduce((sum, { points }) => sum + points, 0);
+
+// Work out what reversing one event's points would do to a user, without saving
+const planReversal = (user, eventId, achievements) => {
+  const entry = user.eventsParticipated.find(
+    participation => participation.eventId.toString() === eventId.toString()
+  );
+  const points = entry ? entry.pointsEarned : 0;
+
+  const after = {
+    totalPoints: user.totalPoints - points,
+    eventsParticipated: user.eventsParticipated.filter(participation => participation !== entry),
+    achievements: user.achievements
+  };
+
+  // Revoked achievements take their bonus points with them
+  const revoked = entry ? findLapsedAchievements(after, achievements) : [];
+  const totalAfter = after.totalPoints - sumPoints(revoked);
+
+  return {
+    userId: user._id,
+    name: user.name,
+    studentId: user.studentId,
+    pointsReversed: points,
+    totalPoints: { before: user.totalPoints, after: totalAfter },
+    level: { before: user.level, after: User.levelForPoints(totalAfter) },
+    achievementsRevoked: revoked.map(({ achievement }) => achievement.title)
+  };
+};
+
+// Dry run: the impact of cancelling each of `events`, nothing is changed
+const previewCancellation = async (events) => {
+  const achievements = await Achievement.find({ isActive: true });
+
+  const impact = [];
+  for (const event of events) {
+    const users = await User.find({
+      _id: { $in: event.participants.map(participant => participant.userId) }
+    });
+
+    const affected = users
+      .map(user => planReversal(user, event._id, achievements))
+      .filter(plan => plan.pointsReversed > 0);
+
+    impact.push({
+      eventId: event._id,
+      title: event.title,
+      startAt: event.startAt,
+      participantsNotified: event.participants.length + event.waitlist.length,
+      usersAffected: affected.length,
+      pointsReversed: affected.reduce((sum, plan) => sum + plan.pointsReversed, 0),
+      achievementsRevoked: affected.reduce((sum, plan) => sum + plan.achievementsRevoked.length, 0),
+      users: affected
+    });
+  }
+
+  return impact;
+};
+
+// Take back what a cancelled event gave out: points, the levels and
+// achievements that depended on them, and everyone's place on it. Safe to run
+// again; points already reversed are not reversed twice.
+const compensateEvent = async (eventId, { reason, actor = null } = {}) => {
+  const { event, recipients } = await runAtomically(async (session) => {
+    const event = await Event.findById(eventId).session(session);
+    if (!event) {
+      return { event: null, recipients: [] };
+    }
+
+    const recipients = [
+      ...event.participants.map(participant => participant.userId),
+      ...event.waitlist.map(entry => entry.userId)
+    ];
+
+    event.participants.forEach(participant => {
+      participant.pointsEarned = 0;
+    });
+    event.waitlist = [];
+    await event.save({ session });
+
+    return { event, recipients };
+  });
+
+  if (!event) {
+    return null;
+  }
+
+  const achievements = await Achievement.find({ isActive: true });
+  const reversals = new Map();
+  let pointsReversed = 0;
+  let achievementsRevoked = 0;
+
+  for (const participant of event.participants) {
+    const userId = participant.userId;
+
+    const reversal = await runInTransaction(async (session) => {
+      const points = await User.reverseEventPoints(userId, event._id, {
+        session,
+        actor,
+        reason: `Event cancelled: ${event.title}`
+      });
+      if (points === 0) {
+        return { points, revoked: [] };
+      }
+
+      const user = await User.findById(userId).session(session);
+      const revoked = findLapsedAchievements(user, achievements);
+      await revokeAchievements(userId, revoked, { session, actor });
+
+      return { points, revoked };
+    });
+
+    reversals.set(userId.toString(), reversal);
+    pointsReversed += reversal.points;
+    achievementsRevoked += reversal.revoked.length;
+  }
+
+  for (const userId of recipients) {
+    const reversal = reversals.get(userId.toString());
+    let message = `"${event.title}" has been cancelled.`;
+    if (reason) {
+      message += ` Reason: ${reason}`;
+    }
+    if (reversal && reversal.points > 0) {
+      message += ` The ${reversal.points} points you earned for it have been removed from your total.`;
+    }
+    if (reversal && reversal.revoked.length > 0) {
+      const titles = reversal.revoked.map(({ achievement }) => achievement.title).join(', ');
+      message += ` Achievements revoked: ${titles} (${sumPoints(reversal.revoked)} bonus points).`;
+    }
+
+    await notifyUser(userId, {
+      type: 'event.cancelled',
+      title: `Event cancelled: ${event.title}`,
+      message,
+      data: { eventId: event._id, pointsReversed: reversal ? reversal.points : 0 }
+    });
+  }
+
+  for (const [userId, reversal] of reversals) {
+    if (reversal.points > 0) {
+      await emit('points.changed', {
+        userId,
+        amount: -reversal.points,
+        sourceType: 'reversal',
+        sourceId: event._id,
+        actor
+      });
+    }
+  }
+
+  return {
+    usersAffected: [...reversals.values()].filter(reversal => reversal.points > 0).length,
+    pointsReversed,
+    achievementsRevoked,
+    notified: recipients.length
+  };
+};
+
+// Cancel one event and run the compensating workflow. Resolves to null when
+// the event was no longer in the expected status.
+const cancelEvent = async (event, { reason, cancelledBy } = {}) => {
+  const cancelled = await transitionEvent(event._id, event.status, 'cancelled', {
+    cancellation: { reason, cancelledAt: new Date(), cancelledBy }
+  });
+
+  if (!cancelled) {
+    return null;
+  }
+
+  const summary = await compensateEvent(cancelled._id, { reason, actor: cancelledBy });
+  return { event: cancelled, ...summary };
+};
+
+module.exports = {
+  previewCancellation,
+  compensateEvent,
+  cancelEvent
+};
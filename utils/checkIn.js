@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { generateSecret, timeStep, generateTotp, verifyTotp } = require('./totp');
+
+// Check-in codes rotate every CHECKIN_CODE_STEP_SECONDS (default 60) and the
+// previous code stays valid for one extra step to allow for slow typing
+const STEP_SECONDS = parseInt(process.env.CHECKIN_CODE_STEP_SECONDS) || 60;
+
+const signPayload = (secret, body) => {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+};
+
+// Generate a per-event secret the first time an organizer asks for a code
+const ensureCheckInSecret = (event) => {
+  if (!event.checkInSecret) {
+    event.checkInSecret = generateSecret();
+    return true;
+  }
+  return false;
+};
+
+// Current numeric code and signed QR payload for an event
+const generateCheckIn = (event, time = Date.now()) => {
+  const step = timeStep(time, STEP_SECONDS);
+  const body = `${event._id}.${step}`;
+
+  return {
+    code: generateTotp(event.checkInSecret, time, STEP_SECONDS),
+    qrPayload: `${body}.${signPayload(event.checkInSecret, body)}`,
+    expiresAt: new Date((step + 1) * STEP_SECONDS * 1000)
+  };
+};
+
+// Verify a typed code or scanned QR payload. Returns the method used, or null.
+const verifyCheckIn = (event, { code, qrPayload }, time = Date.now()) => {
+  if (!event.checkInSecret) {
+    return null;
+  }
+
+  if (code) {
+    return verifyTotp(event.checkInSecret, code, 1, time, STEP_SECONDS) !== null ? 'code' : null;
+  }
+
+  if (qrPayload) {
+    const [eventId, step, signature] = String(qrPayload).split('.');
+    if (eventId !== event._id.toString() || !signature) {
+      return null;
+    }
+
+    const expected = signPayload(event.checkInSecret, `${eventId}.${step}`);
+    const valid = expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    const age = timeStep(time, STEP_SECONDS) - parseInt(step);
+
+    return valid && age >= 0 && age <= 1 ? 'qr' : null;
+  }
+
+  return null;
+};
+
+module.exports = {
+  ensureCheckInSecret,
+  generateCheckIn,
+  verifyCheckIn
+};
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+
+// Every stored field holding a department or academic year name, as
+// [model, path, isArray]. Renames and the migration rewrite all of them.
+const DEPARTMENT_FIELDS = [
+  [User, 'department', false],
+  [User, 'adminScope.departments', true],
+  [Event, 'department', false],
+  [Event, 'eligibility.departments', true],
+  [EventSeries, 'department', false],
+  [EventSeries, 'eligibility.departments', true]
+];
+
+const YEAR_FIELDS = [
+  [User, 'year', false],
+  [Event, 'eligibility.years', true],
+  [EventSeries, 'eligibility.years', true]
+];
+
+const renameValue = async (fields, from, to) => {
+  let modified = 0;
+
+  for (const [Model, path, isArray] of fields) {
+    const update = isArray
+      ? Model.updateMany({ [path]: from }, { $set: { [`${path}.$[value]`]: to } }, { arrayFilters: [{ value: from }] })
+      : Model.updateMany({ [path]: from }, { $set: { [path]: to } });
+
+    const result = await update;
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+// Distinct values stored across `fields`, with how many documents hold each
+const countValues = async (fields) => {
+  const counts = new Map();
+
+  for (const [Model, path] of fields) {
+    const values = await Model.distinct(path);
+    for (const value of values) {
+      const count = await Model.countDocuments({ [path]: value });
+      counts.set(value, (counts.get(value) || 0) + count);
+    }
+  }
+
+  return counts;
+};
+
+// Point every stored reference to department `from` at `to`.
+// Returns how many documents changed.
+const renameDepartmentReferences = (from, to) => renameValue(DEPARTMENT_FIELDS, from, to);
+
+const renameAcademicYearReferences = (from, to) => renameValue(YEAR_FIELDS, from, to);
+
+const countDepartmentValues = () => countValues(DEPARTMENT_FIELDS);
+
+const countAcademicYearValues = () => countValues(YEAR_FIELDS);
+
+module.exports = {
+  renameDepartmentReferences,
+  renameAcademicYearReferences,
+  countDepartmentValues,
+  countAcademicYearValues
+};
@@ -0,0 +1,69 @@
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
+const { ALL_DEPARTMENTS } = require('../config/departments');
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+// Departments and academic years, cached briefly since every validation reads them
+const loadRegistry = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache;
+  }
+
+  const [departments, years] = await Promise.all([
+    Department.find().select('name code aliases isActive').lean(),
+    AcademicYear.find().select('name order isActive').lean()
+  ]);
+
+  cache = { departments, years, expiresAt: Date.now() + CACHE_TTL_MS };
+  return cache;
+};
+
+// Drop the cached registry after a department or year changes
+const clearDepartmentCache = () => {
+  cache = null;
+};
+
+// Whether `name` is a department. Inactive ones still count for stored
+// records; pass activeOnly when the value is being chosen.
+const isDepartment = async (name, { activeOnly = false } = {}) => {
+  const { departments } = await loadRegistry();
+  return departments.some(department =>
+    department.name === name && (!activeOnly || department.isActive)
+  );
+};
+
+// Same as isDepartment, but also accepts "All Departments" for campus-wide events
+const isEventDepartment = async (name, options = {}) => {
+  return name === ALL_DEPARTMENTS || await isDepartment(name, options);
+};
+
+const isAcademicYear = async (name, { activeOnly = false } = {}) => {
+  const { years } = await loadRegistry();
+  return years.some(year => year.name === name && (!activeOnly || year.isActive));
+};
+
+// Canonical name for a department name, code or former name, or null.
+// Lets filters and feed URLs keep working with the names clients already use.
+const resolveDepartment = async (value) => {
+  if (value === ALL_DEPARTMENTS) {
+    return value;
+  }
+
+  const { departments } = await loadRegistry();
+  const department = departments.find(candidate =>
+    candidate.name === value ||
+    candidate.code === String(value).toUpperCase() ||
+    candidate.aliases.includes(value)
+  );
+  return department ? department.name : null;
+};
+
+module.exports = {
+  clearDepartmentCache,
+  isDepartment,
+  isEventDepartment,
+  isAcademicYear,
+  resolveDepartment
+};
@@ -0,0 +1,45 @@
+// In-process bus for things that happened to a user, so features like
+// achievements can react without every write path calling them.
+//
+// Events are emitted after the change is committed:
+//   points.changed      { userId, amount, sourceType, sourceId, actor } after
+//                       event credits, reversals and manual adjustments.
+//                       Achievement bonuses are not emitted; the evaluator
+//                       that grants them already accounts for them.
+//   event.participated  { userId, eventId, status } after a user registers for
+//                       an event or joins its waitlist
+//   activity.recorded   { userId, type, day } after a user's first check-in or
+//                       login of a day updates their streak
+
+const handlers = new Map();
+
+// Register `handler(payload)` to run whenever `name` is emitted. Handlers run
+// in registration order and one failing does not stop the others.
+const on = (name, handler) => {
+  if (!handlers.has(name)) {
+    handlers.set(name, []);
+  }
+  handlers.get(name).push(handler);
+};
+
+// Run every handler for `name`. Resolves to the values the handlers returned,
+// leaving out those that failed; the change itself is already saved, so a
+// failing handler is logged rather than failing the request.
+const emit = async (name, payload) => {
+  const results = [];
+
+  for (const handler of handlers.get(name) || []) {
+    try {
+      results.push(await handler(payload));
+    } catch (error) {
+      console.error(`Handler for ${name} failed for user ${payload.userId}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  on,
+  emit
+};
@@ -0,0 +1,134 @@
+const Event = require('../models/Event');
+
+const INTERVAL_SECONDS = parseInt(process.env.EVENT_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+// Status changes an event can go through. Events only move forward, and a
+// cancelled event stays cancelled since its points have been taken back.
+const ALLOWED_TRANSITIONS = {
+  upcoming: ['ongoing', 'cancelled'],
+  ongoing: ['completed', 'cancelled'],
+  completed: ['cancelled'],
+  cancelled: []
+};
+
+const canTransition = (from, to) => {
+  return (ALLOWED_TRANSITIONS[from] || []).includes(to);
+};
+
+const hooks = [];
+
+// Register `hook(event, { from, to })` to run after an event moves from one
+// status to another; '*' matches any status. Hooks run in registration order
+// and one failing does not stop the others.
+const onTransition = (from, to, hook) => {
+  hooks.push({ from, to, hook });
+};
+
+const runTransitionHooks = async (event, from, to) => {
+  const matching = hooks.filter(entry =>
+    (entry.from === '*' || entry.from === from) && (entry.to === '*' || entry.to === to)
+  );
+
+  for (const { hook } of matching) {
+    try {
+      await hook(event, { from, to });
+    } catch (error) {
+      console.error(`Lifecycle hook failed for event ${event._id} (${from} -> ${to}):`, error.message);
+    }
+  }
+};
+
+// Move an event from one status to another and fire the hooks. The status is
+// compared on write, so when several servers race only one of them runs the
+// hooks. `changes` are set in the same update. Resolves to the updated event,
+// or null if it was not in `from`.
+const transitionEvent = async (eventId, from, to, changes = {}) => {
+  // Calendars only show whether an event is cancelled, so only that bumps the sequence
+  const calendarChanged = from === 'cancelled' || to === 'cancelled';
+
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: from },
+    { $set: { ...changes, status: to }, $inc: { __v: 1, sequence: calendarChanged ? 1 : 0 } },
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  await runTransitionHooks(event, from, to);
+  return event;
+};
+
+// Advance every event whose start or end time has passed. Events that were
+// missed entirely (e.g. the server was down) go through both transitions so
+// every hook still runs in order.
+const runLifecycleTick = async (now = new Date()) => {
+  // Proposals still under review never start
+  const started = await Event.find(Event.approvedOnly({
+    status: 'upcoming',
+    isActive: true,
+    startAt: { $lte: now }
+  })).select('_id');
+
+  for (const { _id } of started) {
+    await transitionEvent(_id, 'upcoming', 'ongoing');
+  }
+
+  const ended = await Event.find({
+    status: 'ongoing',
+    isActive: true,
+    endAt: { $lte: now }
+  }).select('_id');
+
+  for (const { _id } of ended) {
+    await transitionEvent(_id, 'ongoing', 'completed');
+  }
+
+  return { started: started.length, ended: ended.length };
+};
+
+let timer = null;
+
+// Start checking for due transitions every EVENT_SCHEDULER_INTERVAL_SECONDS
+const startLifecycleScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  let running = false;
+  const tick = async () => {
+    // A slow tick must not overlap the next one
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await runLifecycleTick();
+    } catch (error) {
+      console.error('Event lifecycle scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, INTERVAL_SECONDS * 1000);
+  tick();
+};
+
+const stopLifecycleScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  onTransition,
+  runTransitionHooks,
+  transitionEvent,
+  runLifecycleTick,
+  startLifecycleScheduler,
+  stopLifecycleScheduler
+};
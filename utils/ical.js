@@ -0,0 +1,117 @@
+// Minimal RFC 5545 calendar writer for event feeds
+
+const PRODUCT_ID = '-//MCE Student Portal//Events//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'mce-student-portal';
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts towards their 75
+  let limit = 75;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// UTC date-time in basic format, e.g. 20250310T093000Z
+const formatDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const buildEvent = (event, now = new Date()) => {
+  const startAt = event.startAt || event.date;
+  const cancelled = event.status === 'cancelled' || !event.isActive;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(startAt)}`
+  ];
+
+  if (event.endAt) {
+    lines.push(`DTEND:${formatDate(event.endAt)}`);
+  }
+
+  lines.push(
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(`${event.description}\n\nPoints: ${event.points}`)}`,
+    `CATEGORIES:${escapeText(event.type)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  );
+
+  if (event.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(event.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a VCALENDAR document from a list of events
+const buildCalendar = (events, { name } = {}) => {
+  const now = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event, now)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send a calendar as the response
+const sendCalendar = (res, calendar, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(calendar);
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  buildCalendar,
+  sendCalendar
+};
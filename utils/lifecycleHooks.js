@@ -0,0 +1,26 @@
+const { onTransition } = require('./eventLifecycle');
+const { closeWaitlist } = require('./waitlist');
+const { finalizeAttendance } = require('./participation');
+const { withdrawIncompleteTeams } = require('./teams');
+
+// Built-in reactions to event status changes. Called once at startup.
+const registerDefaultHooks = () => {
+  // Registration closes when the event starts; nobody left waiting gets a seat
+  onTransition('upcoming', 'ongoing', async (event) => {
+    await closeWaitlist(event._id);
+  });
+
+  // Rosters are final once the event starts; undersized teams give up their seats
+  onTransition('upcoming', 'ongoing', async (event) => {
+    await withdrawIncompleteTeams(event._id);
+  });
+
+  // Whoever registered but never checked in is a no-show
+  onTransition('*', 'completed', async (event) => {
+    await finalizeAttendance(event._id);
+  });
+};
+
+module.exports = {
+  registerDefaultHooks
+};
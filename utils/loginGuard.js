@@ -0,0 +1,125 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 250;
+const MAX_DELAY_MS = 8000;
+
+const lockWindowMs = () => LOCK_MINUTES * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const delayFor = (failures) => Math.min(DELAY_BASE_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+
+// Recent failures for an email. Accounts track this on the user document;
+// unknown emails are counted from the attempt log so both behave the same
+// and the response never reveals whether the account exists.
+const getFailureState = async (email, user) => {
+  if (user) {
+    const stale = !user.lastFailedLoginAt ||
+      Date.now() - user.lastFailedLoginAt.getTime() > lockWindowMs();
+
+    return {
+      failures: stale ? 0 : user.failedLoginAttempts,
+      lockUntil: user.lockUntil && user.lockUntil > new Date() ? user.lockUntil : null
+    };
+  }
+
+  const since = new Date(Date.now() - lockWindowMs());
+  const failures = await LoginAttempt.find({
+    email,
+    reason: 'invalid_credentials',
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  const lockUntil = failures.length >= MAX_ATTEMPTS
+    ? new Date(failures[0].createdAt.getTime() + lockWindowMs())
+    : null;
+
+  return { failures: failures.length, lockUntil };
+};
+
+// Log a rejected attempt for the admin audit trail
+const recordAttempt = async (email, user, req, reason) => {
+  await LoginAttempt.create({
+    email,
+    user: user ? user._id : null,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    reason
+  });
+};
+
+// Count a failed password and lock the account once the limit is reached.
+// Returns the lock expiry when this failure triggered a lockout. For accounts
+// the count is incremented in a single update, so parallel wrong guesses each
+// count and the one that reaches the limit sets the lock.
+const registerFailure = async (email, user, req, previousFailures) => {
+  await recordAttempt(email, user, req, 'invalid_credentials');
+
+  if (!user) {
+    const failures = previousFailures + 1;
+    await sleep(delayFor(failures));
+    return failures >= MAX_ATTEMPTS ? new Date(Date.now() + lockWindowMs()) : null;
+  }
+
+  const now = new Date();
+  const lockUntil = new Date(now.getTime() + lockWindowMs());
+  const stale = {
+    $or: [
+      { $not: ['$lastFailedLoginAt'] },
+      { $lt: ['$lastFailedLoginAt', new Date(now.getTime() - lockWindowMs())] }
+    ]
+  };
+
+  const updated = await User.findOneAndUpdate({ _id: user._id }, [
+    {
+      $set: {
+        failedLoginAttempts: { $cond: [stale, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }] },
+        lastFailedLoginAt: now
+      }
+    },
+    {
+      $set: {
+        locked: { $gte: ['$failedLoginAttempts', MAX_ATTEMPTS] }
+      }
+    },
+    {
+      $set: {
+        lockUntil: { $cond: ['$locked', lockUntil, '$lockUntil'] },
+        failedLoginAttempts: { $cond: ['$locked', 0, '$failedLoginAttempts'] }
+      }
+    },
+    { $unset: 'locked' }
+  ], { new: true }).select('failedLoginAttempts lockUntil');
+
+  const locked = Boolean(updated && updated.lockUntil && updated.lockUntil.getTime() === lockUntil.getTime());
+
+  // Progressive delay: each consecutive failure doubles the wait
+  await sleep(delayFor(locked ? MAX_ATTEMPTS : updated ? updated.failedLoginAttempts : previousFailures + 1));
+
+  return locked ? lockUntil : null;
+};
+
+// Reset counters after a successful login or an admin unlock
+const clearFailures = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = undefined;
+  user.lockUntil = undefined;
+};
+
+const lockedMessage = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 60000));
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  getFailureState,
+  recordAttempt,
+  registerFailure,
+  clearFailures,
+  lockedMessage
+};
@@ -0,0 +1,30 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File/console driver - for local development without a mail server.
+// Writes each message to MAIL_FILE_DIR when set, otherwise logs it.
+const createFileDriver = () => {
+  const directory = process.env.MAIL_FILE_DIR;
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+      if (!directory) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId };
+      }
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createFileDriver;
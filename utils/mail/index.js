@@ -0,0 +1,55 @@
+const createSmtpDriver = require('./smtpDriver');
+const createFileDriver = require('./fileDriver');
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver
+};
+
+let transport = null;
+
+// Resolve the transport selected by MAIL_DRIVER (defaults to file)
+const getTransport = () => {
+  if (!transport) {
+    const driverName = process.env.MAIL_DRIVER || 'file';
+    const createDriver = drivers[driverName];
+
+    if (!createDriver) {
+      throw new Error(`Unknown mail driver: ${driverName}`);
+    }
+
+    transport = createDriver();
+  }
+
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. for scripts that want to capture mail
+const setTransport = (driver) => {
+  transport = driver;
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape user-supplied text before putting it into an HTML body
+const escapeHtml = (text) => {
+  return String(text).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+};
+
+// Send an email through the active transport
+const sendEmail = async ({ to, subject, text, html }) => {
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'MCE Student Portal <no-reply@mce.edu>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendEmail,
+  escapeHtml,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// SMTP driver - delivers mail through the configured server
+const createSmtpDriver = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpDriver;
@@ -0,0 +1,41 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail, escapeHtml } = require('./mail');
+
+const truncate = (text, length) => {
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+// Store an in-app notification and email it to the user.
+// Email delivery is best effort; the stored notification is the record.
+const notifyUser = async (userId, { type, title, message, data = {} }) => {
+  // Titles and messages often embed user-entered text; trim to what the model allows
+  const notification = await Notification.create({
+    user: userId,
+    type,
+    title: truncate(title, 100),
+    message: truncate(message, 500),
+    data
+  });
+
+  try {
+    const user = await User.findById(userId).select('name email');
+    if (user) {
+      await sendEmail({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name},\n\n${message}`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p>`
+      });
+    }
+  } catch (error) {
+    console.error(`Notification email could not be sent to ${userId}:`, error.message);
+  }
+
+  return notification;
+};
+
+module.exports = {
+  truncate,
+  notifyUser
+};
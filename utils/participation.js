@@ -0,0 +1,235 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { AppError } = require('../middleware/errorHandler');
+const { runAtomically } = require('./transaction');
+const { promoteWaitlist, notifyWaitlistChanges } = require('./waitlist');
+const { emit } = require('./domainEvents');
+const { awardedIn } = require('./achievements');
+const { recordActivity } = require('./streaks');
+
+// Every write here re-reads the event inside runAtomically, so two requests
+// racing for the last seat (or the same points) can't both succeed: the
+// loser's save fails its version check and is retried against fresh data.
+
+const loadEvent = async (eventId, session) => {
+  const event = await Event.findById(eventId).session(session);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  return event;
+};
+
+// Reserve a seat, or join the waitlist when the event is full.
+// Resolves to { status: 'registered' } or { status: 'waitlisted', position },
+// with any achievements the user unlocked as `newAchievements`; rejections
+// carry the eligibility reason in the error details.
+const registerParticipant = async (eventId, userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const { event, outcome, waitlistChanges } = await runAtomically(async (session) => {
+    const event = await loadEvent(eventId, session);
+
+    if (event.teamSettings.enabled) {
+      throw new AppError('This is a team event. Create a team or join one with an invite code', 400, {
+        reason: 'team_required'
+      });
+    }
+
+    // Lapsed offers free their seats before capacity is checked
+    const waitlistChanges = promoteWaitlist(event);
+
+    const { allowed, message, ...details } = event.canParticipate(user);
+    if (!allowed) {
+      // A full event puts the student on the waitlist instead
+      if (details.reason === 'full') {
+        if (!event.getWaitlistEntry(userId)) {
+          event.waitlist.push({ userId });
+        }
+        await event.save({ session });
+
+        return {
+          event,
+          waitlistChanges,
+          outcome: { status: 'waitlisted', position: event.getWaitlistPosition(userId) }
+        };
+      }
+
+      throw new AppError(message, 400, details);
+    }
+
+    // Confirming a waitlist offer takes the held seat
+    const waitlistEntry = event.getWaitlistEntry(userId);
+    if (waitlistEntry) {
+      waitlistEntry.deleteOne();
+    }
+
+    event.participants.push({ userId });
+    await event.save({ session });
+
+    return { event, waitlistChanges, outcome: { status: 'registered' } };
+  });
+
+  await notifyWaitlistChanges(event, waitlistChanges);
+
+  const results = await emit('event.participated', { userId: user._id, eventId: event._id, status: outcome.status });
+  return { event, ...outcome, newAchievements: awardedIn(results) };
+};
+
+// Cancel a registration that hasn't been attended yet and pass the seat on
+const cancelRegistration = async (eventId, userId) => {
+  const { event, waitlistChanges } = await runAtomically(async (session) => {
+    const event = await loadEvent(eventId, session);
+    const participant = event.getParticipant(userId);
+
+    if (!participant) {
+      throw new AppError('User is not participating in this event', 400);
+    }
+
+    // Verified attendance is a record, not a reservation
+    if (participant.status !== 'registered') {
+      throw new AppError('Attendance has already been recorded for this event', 400);
+    }
+
+    if (participant.team) {
+      throw new AppError('You are registered through a team. Leave the team instead', 400);
+    }
+
+    participant.deleteOne();
+    const waitlistChanges = promoteWaitlist(event);
+    await event.save({ session });
+
+    return { event, waitlistChanges };
+  });
+
+  await notifyWaitlistChanges(event, waitlistChanges);
+  return event;
+};
+
+// Leave the waitlist (or decline an offer), passing any held seat on
+const leaveWaitlist = async (eventId, userId) => {
+  const { event, waitlistChanges } = await runAtomically(async (session) => {
+    const event = await loadEvent(eventId, session);
+    const entry = event.getWaitlistEntry(userId);
+
+    if (!entry) {
+      throw new AppError('You are not on the waitlist for this event', 400);
+    }
+
+    entry.deleteOne();
+    const waitlistChanges = promoteWaitlist(event);
+    await event.save({ session });
+
+    return { event, waitlistChanges };
+  });
+
+  await notifyWaitlistChanges(event, waitlistChanges);
+  return event;
+};
+
+// Mark attendance and credit points to the user in one transaction.
+// `walkIn` lets organizers record people who never registered (seat permitting);
+// self check-in requires an open registration. Resolves to the event, the
+// updated user, the points earned and any achievements they unlocked.
+const creditAttendance = async (eventId, userId, { points, method, checkedInBy, walkIn = false }) => {
+  const { event, pointsEarned } = await runAtomically(async (session) => {
+    const event = await loadEvent(eventId, session);
+    let participant = event.getParticipant(userId);
+
+    if (participant && participant.status === 'attended') {
+      throw new AppError('Attendance has already been recorded for this event', 400);
+    }
+
+    if (!participant) {
+      if (!walkIn) {
+        throw new AppError('You are not registered for this event', 400);
+      }
+      if (event.teamSettings.enabled) {
+        throw new AppError('Only team members can be checked in to a team event', 400);
+      }
+      if (!event.hasSeatFor(userId)) {
+        throw new AppError('Cannot participate in this event', 400);
+      }
+
+      event.participants.push({ userId });
+      participant = event.participants[event.participants.length - 1];
+    } else if (!walkIn && participant.status !== 'registered') {
+      throw new AppError('Attendance has already been recorded for this event', 400);
+    }
+
+    // Team members may share the event's points
+    let pointsEarned = points;
+    if (pointsEarned === undefined) {
+      const team = participant.team ? await Team.findById(participant.team).session(session) : null;
+      pointsEarned = team ? event.getMemberPoints(team.members.length) : event.points;
+    }
+
+    participant.status = 'attended';
+    participant.pointsEarned = pointsEarned;
+    participant.checkedInAt = new Date();
+    participant.checkInMethod = method;
+    participant.checkedInBy = checkedInBy;
+
+    await event.save({ session });
+
+    const credited = await User.creditEventPoints(userId, event._id, pointsEarned, {
+      session,
+      actor: checkedInBy,
+      reason: event.title
+    });
+    if (!credited) {
+      throw new AppError('Points for this event have already been credited', 400);
+    }
+
+    return { event, pointsEarned };
+  });
+
+  const results = await emit('points.changed', {
+    userId,
+    amount: pointsEarned,
+    sourceType: 'event',
+    sourceId: event._id,
+    actor: checkedInBy || null
+  });
+
+  // Checking in yourself counts toward your streak, which can unlock more.
+  // Check-ins and points recorded by staff happen on the staff member's
+  // schedule, not the student's, so they don't count.
+  const activityResults = checkedInBy ? [] : await recordActivity(userId, 'check_in');
+
+  // Read after the achievements so the level includes their bonus points
+  const user = await User.findById(userId);
+  return { event, user, pointsEarned, newAchievements: awardedIn([...results, ...activityResults]) };
+};
+
+// Mark everyone still only registered as a no-show. Returns how many were marked.
+const finalizeAttendance = async (eventId) => {
+  return await runAtomically(async (session) => {
+    const event = await loadEvent(eventId, session);
+
+    let noShows = 0;
+    event.participants.forEach(participant => {
+      if (participant.status === 'registered') {
+        participant.status = 'no_show';
+        noShows += 1;
+      }
+    });
+
+    if (noShows > 0) {
+      await event.save({ session });
+    }
+
+    return { event, noShows };
+  });
+};
+
+module.exports = {
+  registerParticipant,
+  cancelRegistration,
+  leaveWaitlist,
+  creditAttendance,
+  finalizeAttendance
+};
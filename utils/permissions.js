@@ -0,0 +1,59 @@
+const Role = require('../models/Role');
+const { AppError } = require('../middleware/errorHandler');
+
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Permissions granted to a role, cached briefly to avoid a lookup per request
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('permissions');
+  const permissions = role ? role.permissions : [];
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Check whether a user holds every one of the given permissions
+const hasPermission = async (user, ...permissions) => {
+  const granted = await getRolePermissions(user.role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+// Throw unless `user` holds every one of `permissions`, so nobody can hand
+// out more access than they have themselves
+const assertCanGrantPermissions = async (user, permissions, message = 'You cannot grant permissions you do not hold') => {
+  const granted = await getRolePermissions(user.role);
+  const missing = permissions.filter(permission => !granted.includes(permission));
+  if (missing.length > 0) {
+    throw new AppError(message, 403, { missing });
+  }
+};
+
+// Throw unless `user` holds every permission `roleName` grants. Resolves to the role.
+const assertCanGrantRole = async (user, roleName) => {
+  const role = await Role.findOne({ name: roleName });
+  if (!role) {
+    throw new AppError('Role not found', 404);
+  }
+
+  await assertCanGrantPermissions(user, role.permissions, `You cannot grant the ${role.name} role`);
+  return role;
+};
+
+// Drop cached permissions after a role definition changes
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  assertCanGrantPermissions,
+  assertCanGrantRole,
+  clearPermissionCache
+};
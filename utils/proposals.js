@@ -0,0 +1,132 @@
+const Event = require('../models/Event');
+const { AppError } = require('../middleware/errorHandler');
+const { notifyUser } = require('./notifications');
+
+// Fields a proposer fills in; everything else (status, approval, check-in) is
+// managed by the portal
+const PROPOSAL_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'points',
+  'department',
+  'date',
+  'startAt',
+  'endAt',
+  'registrationDeadline',
+  'maxParticipants',
+  'eligibility',
+  'teamSettings'
+];
+
+// Review decisions and the approval status each one leads to
+const DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+const pickProposalFields = (body) => {
+  const fields = {};
+  PROPOSAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+const loadProposal = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || !event.isActive || !event.reviewHistory.length) {
+    throw new AppError('Proposal not found', 404);
+  }
+  return event;
+};
+
+// Submit a new event proposal; it stays hidden until a reviewer approves it
+const submitProposal = async (body, proposerId) => {
+  return await Event.create({
+    ...pickProposalFields(body),
+    createdBy: proposerId,
+    approvalStatus: 'pending_review',
+    reviewHistory: [{ action: 'submitted', by: proposerId }]
+  });
+};
+
+// Edit a proposal that is still under review or was sent back for changes.
+// A proposal sent back goes into the review queue again.
+const reviseProposal = async (eventId, proposerId, body) => {
+  const event = await loadProposal(eventId);
+
+  if (event.createdBy.toString() !== proposerId.toString()) {
+    throw new AppError('Only the proposer can edit this proposal', 403);
+  }
+  if (!['pending_review', 'changes_requested'].includes(event.approvalStatus)) {
+    throw new AppError(`A proposal that has been ${event.approvalStatus} can no longer be edited`, 400);
+  }
+
+  // Team settings are merged like in updateEvent
+  const { teamSettings = {}, ...fields } = pickProposalFields(body);
+  Object.keys(teamSettings).forEach(key => {
+    fields[`teamSettings.${key}`] = teamSettings[key];
+  });
+  event.set(fields);
+
+  if (event.approvalStatus === 'changes_requested') {
+    event.approvalStatus = 'pending_review';
+    event.reviewHistory.push({ action: 'resubmitted', by: proposerId, comment: body.comment });
+  }
+
+  await event.save();
+  return event;
+};
+
+// Approve, reject or send back a proposal and tell the proposer
+const reviewProposal = async (event, reviewerId, { decision, comment }) => {
+  if (event.approvalStatus !== 'pending_review') {
+    throw new AppError('Only proposals pending review can be reviewed', 400);
+  }
+
+  // A reviewer who proposed the event can't approve their own work
+  if (event.createdBy.equals(reviewerId)) {
+    throw new AppError('You cannot review your own proposal', 403);
+  }
+
+  // Approving an event that has already started would publish it too late to join
+  if (decision === 'approve' && event.startAt <= new Date()) {
+    throw new AppError('This event has already started. Request a new date instead', 400);
+  }
+
+  event.approvalStatus = DECISIONS[decision];
+  event.reviewHistory.push({ action: DECISIONS[decision], by: reviewerId, comment });
+  await event.save();
+
+  const outcome = {
+    approved: 'has been approved and is now visible to students.',
+    rejected: 'has been rejected.',
+    changes_requested: 'needs changes before it can be approved. Edit it and it will be reviewed again.'
+  }[event.approvalStatus];
+
+  let message = `Your event proposal "${event.title}" ${outcome}`;
+  if (comment) {
+    message += ` Reviewer comments: ${comment}`;
+  }
+
+  await notifyUser(event.createdBy, {
+    type: `proposal.${event.approvalStatus}`,
+    title: `Event proposal ${event.approvalStatus.replace('_', ' ')}: ${event.title}`,
+    message,
+    data: { eventId: event._id }
+  });
+
+  return event;
+};
+
+module.exports = {
+  DECISIONS,
+  loadProposal,
+  submitProposal,
+  reviseProposal,
+  reviewProposal
+};
@@ -0,0 +1,205 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// A small subset of RFC 5545 recurrence rules: DAILY or WEEKLY, with an
+// optional INTERVAL and BYDAY, bounded by UNTIL and/or COUNT.
+
+const DAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['daily', 'weekly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES) || 100;
+const MAX_SPAN_DAYS = 2 * 366; // Never look further ahead than this
+
+// Wall-clock parts of `date` in `timeZone`
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+const zoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Wall-clock time of `date` in `timeZone`, as milliseconds as if it were UTC.
+// Adding whole days to it walks the local calendar.
+const toLocal = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) + date.getMilliseconds();
+};
+
+// The instant a wall-clock time (given as if it were UTC) happens in `timeZone`.
+// A time skipped when clocks go forward is moved past the gap, and a time that
+// happens twice when they go back uses the first one.
+const fromLocal = (wallClock, timeZone) => {
+  const before = zoneOffset(new Date(wallClock), timeZone);
+  const guess = wallClock - before;
+  const after = zoneOffset(new Date(guess), timeZone);
+  if (after === before) {
+    return new Date(guess);
+  }
+
+  const adjusted = wallClock - after;
+  return new Date(zoneOffset(new Date(adjusted), timeZone) === after ? adjusted : guess);
+};
+
+// Check a { freq, interval, byDay, until, count } rule, throwing a 400 when it is unusable
+const validateRule = (rule) => {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) {
+    throw new AppError('Recurrence frequency must be daily or weekly', 400);
+  }
+
+  if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) {
+    throw new AppError('Recurrence interval must be a positive integer', 400);
+  }
+
+  if (rule.byDay && !rule.byDay.every(day => DAY_CODES.includes(day))) {
+    throw new AppError(`Recurrence days must be among ${DAY_CODES.join(', ')}`, 400);
+  }
+
+  if (rule.freq === 'daily' && rule.byDay && rule.byDay.length > 0) {
+    throw new AppError('Recurrence days (BYDAY) can only be used with a weekly frequency', 400);
+  }
+
+  if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count >= 1)) {
+    throw new AppError('Recurrence count must be a positive integer', 400);
+  }
+
+  if (!rule.until && !rule.count) {
+    throw new AppError('Recurrence needs an end date (until) or a number of occurrences (count)', 400);
+  }
+
+  if (rule.count && rule.count > MAX_OCCURRENCES) {
+    throw new AppError(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`, 400);
+  }
+
+  return rule;
+};
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+const parseRRule = (value) => {
+  const rule = {};
+
+  value.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, raw = ''] = part.split('=');
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = raw.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(raw);
+        break;
+      case 'BYDAY':
+        rule.byDay = raw.toUpperCase().split(',');
+        break;
+      case 'COUNT':
+        rule.count = Number(raw);
+        break;
+      case 'UNTIL': {
+        // Basic format: 20250131 or 20250131T235959Z
+        const match = raw.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) {
+          throw new AppError('RRULE UNTIL must look like 20250131T235959Z', 400);
+        }
+        const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+        rule.until = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        break;
+      }
+      default:
+        throw new AppError(`Unsupported RRULE part: ${key}`, 400);
+    }
+  });
+
+  return validateRule(rule);
+};
+
+// Format a rule back into an RRULE string (without the "RRULE:" prefix)
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay && rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  return parts.join(';');
+};
+
+// List the start times of every occurrence, beginning at `startAt`.
+// Occurrences are stepped through in `timeZone` and keep the local time of day
+// of the first one, so an evening meetup stays at 18:00 and on the right
+// weekday across daylight saving changes.
+const expandOccurrences = (rule, startAt, { timeZone = 'UTC' } = {}) => {
+  const interval = rule.interval || 1;
+  const localStart = toLocal(startAt, timeZone);
+  // Monday-based weekday; 1970-01-01 was a Thursday
+  const startDay = (Math.floor(localStart / DAY_MS) + 3) % 7;
+  const days = rule.byDay && rule.byDay.length > 0
+    ? rule.byDay.map(code => DAY_CODES.indexOf(code))
+    : [startDay];
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const until = rule.until ? new Date(rule.until) : null;
+
+  const occurrences = [];
+  for (let offset = 0; offset < MAX_SPAN_DAYS && occurrences.length < limit; offset++) {
+    const candidate = fromLocal(localStart + offset * DAY_MS, timeZone);
+    if (until && candidate > until) {
+      break;
+    }
+
+    if (rule.freq === 'daily') {
+      if (offset % interval === 0) {
+        occurrences.push(candidate);
+      }
+      continue;
+    }
+
+    // Weeks start on Monday, counted from the week of the first occurrence
+    const week = Math.floor((startDay + offset) / 7);
+    if (week % interval === 0 && days.includes((startDay + offset) % 7)) {
+      occurrences.push(candidate);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  DAY_CODES,
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  localParts,
+  toLocal,
+  fromLocal,
+  validateRule,
+  parseRRule,
+  formatRRule,
+  expandOccurrences
+};
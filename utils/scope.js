@@ -0,0 +1,82 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Departments a staff member may administer, or null for global scope.
+// Global scope is only ever granted explicitly; without an assignment staff,
+// admins included, fall back to their own department.
+const getScopeDepartments = (user) => {
+  const scope = user.adminScope || {};
+
+  if (scope.global) {
+    return null;
+  }
+
+  if (scope.departments && scope.departments.length > 0) {
+    return scope.departments;
+  }
+
+  return user.department ? [user.department] : [];
+};
+
+const isGlobalScope = (user) => getScopeDepartments(user) === null;
+
+// Query filter restricting users to the requester's scope
+const userScopeFilter = (user) => {
+  const departments = getScopeDepartments(user);
+  return departments ? { department: { $in: departments } } : {};
+};
+
+// Query filter restricting events to the requester's scope.
+// Campus-wide ("All Departments") events are only managed globally.
+const eventScopeFilter = (user) => {
+  const departments = getScopeDepartments(user);
+  return departments ? { department: { $in: departments } } : {};
+};
+
+const canManageEventDepartment = (user, eventDepartment) => {
+  const departments = getScopeDepartments(user);
+  return !departments || departments.includes(eventDepartment);
+};
+
+const assertEventDepartmentInScope = (user, eventDepartment) => {
+  if (!canManageEventDepartment(user, eventDepartment)) {
+    throw new AppError('Event is outside your department scope', 403);
+  }
+};
+
+const assertUserInScope = (user, target) => {
+  const departments = getScopeDepartments(user);
+  if (departments && !departments.includes(target.department)) {
+    throw new AppError('User is outside your department scope', 403);
+  }
+};
+
+// Query filter restricting invites to those whose departments all fall within
+// the requester's scope. Invites from a global admin carry no departments and
+// are only visible globally.
+const inviteScopeFilter = (user) => {
+  const departments = getScopeDepartments(user);
+  return departments
+    ? { departments: { $exists: true, $ne: [], $not: { $elemMatch: { $nin: departments } } } }
+    : {};
+};
+
+const assertInviteInScope = (user, invite) => {
+  const departments = getScopeDepartments(user);
+  const inScope = !departments || (invite.departments.length > 0 &&
+    invite.departments.every(department => departments.includes(department)));
+  if (!inScope) {
+    throw new AppError('Invite is outside your department scope', 403);
+  }
+};
+
+module.exports = {
+  getScopeDepartments,
+  isGlobalScope,
+  userScopeFilter,
+  eventScopeFilter,
+  canManageEventDepartment,
+  assertEventDepartmentInScope,
+  assertUserInScope,
+  inviteScopeFilter,
+  assertInviteInScope
+};
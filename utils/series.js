@@ -0,0 +1,140 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { AppError } = require('../middleware/errorHandler');
+const { runInTransaction, runAtomically } = require('./transaction');
+const { expandOccurrences, toLocal, fromLocal } = require('./recurrence');
+const { promoteWaitlist, notifyWaitlistChanges } = require('./waitlist');
+const { cancelEvent } = require('./cancellation');
+
+// Create a series and all of its occurrences together
+const createSeriesWithOccurrences = async (seriesData) => {
+  return await runInTransaction(async (session) => {
+    const [series] = await EventSeries.create([seriesData], { session });
+
+    const starts = expandOccurrences(series.recurrence, series.startAt, { timeZone: series.timezone });
+    if (starts.length === 0) {
+      throw new AppError('The recurrence rule does not produce any occurrences', 400);
+    }
+
+    const occurrences = await Event.create(
+      starts.map(startAt => series.buildOccurrence(startAt)),
+      { session, ordered: true }
+    );
+
+    return { series, occurrences };
+  });
+};
+
+// Occurrences of the series from `event` onwards that can still change
+const findFutureOccurrences = (event) => {
+  return Event.find({
+    series: event.series,
+    isActive: true,
+    status: { $in: ['upcoming', 'ongoing'] },
+    startAt: { $gte: event.startAt }
+  }).sort({ startAt: 1 });
+};
+
+// What cancelling `event` with `scope` affects: the event itself, which may
+// already be completed, plus its later occurrences when scope is 'future'
+const findOccurrencesToCancel = async (event, scope = 'this') => {
+  if (scope !== 'future') {
+    return [event];
+  }
+
+  const later = await findFutureOccurrences(event);
+  return later.some(occurrence => occurrence._id.equals(event._id)) ? later : [event, ...later];
+};
+
+// Apply an edit made to `event` to it and every later occurrence of its series.
+// Content fields are copied as-is; time changes are applied relative to each
+// occurrence (a start moved by an hour moves every start by an hour). Starts
+// are shifted on the series' local clock, so an 18:00 meetup moved to 19:00
+// stays at 19:00 after a daylight saving change.
+const updateFutureOccurrences = async (event, fields) => {
+  const { date, startAt, endAt, registrationDeadline, ...template } = fields;
+  const series = await EventSeries.findById(event.series);
+  const timeZone = series ? series.timezone : 'UTC';
+
+  const newStart = startAt || date ? new Date(startAt || date) : event.startAt;
+  const startShift = toLocal(newStart, timeZone) - toLocal(event.startAt, timeZone);
+  const newDuration = endAt ? new Date(endAt).getTime() - newStart.getTime() : null;
+  let deadlineOffset;
+  if (registrationDeadline !== undefined) {
+    deadlineOffset = registrationDeadline === null
+      ? null
+      : newStart.getTime() - new Date(registrationDeadline).getTime();
+  }
+
+  const occurrences = await findFutureOccurrences(event).select('_id');
+
+  for (const { _id } of occurrences) {
+    const { occurrence, waitlistChanges } = await runAtomically(async (session) => {
+      const occurrence = await Event.findById(_id).session(session);
+
+      occurrence.set(template);
+      if (startShift !== 0) {
+        const duration = occurrence.endAt.getTime() - occurrence.startAt.getTime();
+        occurrence.startAt = fromLocal(toLocal(occurrence.startAt, timeZone) + startShift, timeZone);
+        occurrence.endAt = new Date(occurrence.startAt.getTime() + duration);
+      }
+      if (newDuration !== null) {
+        occurrence.endAt = new Date(occurrence.startAt.getTime() + newDuration);
+      }
+      if (deadlineOffset !== undefined) {
+        occurrence.registrationDeadline = deadlineOffset === null
+          ? null
+          : new Date(occurrence.startAt.getTime() - deadlineOffset);
+      }
+
+      // A raised capacity frees seats for the waitlist
+      const waitlistChanges = promoteWaitlist(occurrence);
+      await occurrence.save({ session });
+
+      return { occurrence, waitlistChanges };
+    });
+
+    await notifyWaitlistChanges(occurrence, waitlistChanges);
+  }
+
+  // Occurrences that don't exist yet would come from the template, so keep it current
+  if (series) {
+    const templateUpdate = { ...template };
+    if (newDuration !== null) {
+      templateUpdate.durationMinutes = Math.round(newDuration / 60000);
+    }
+    if (deadlineOffset !== undefined) {
+      templateUpdate.registrationCloseMinutes = deadlineOffset === null ? null : Math.round(deadlineOffset / 60000);
+    }
+
+    series.set(templateUpdate);
+    await series.save();
+  }
+
+  return occurrences.length;
+};
+
+// Cancel `event`, or with scope "future" it and every later occurrence of its
+// series, running the compensating workflow for each. Returns one result per
+// cancelled event (see utils/cancellation.js).
+const cancelOccurrences = async (event, scope = 'this', options = {}) => {
+  const targets = await findOccurrencesToCancel(event, scope);
+
+  const cancelled = [];
+  for (const target of targets) {
+    const result = await cancelEvent(target, options);
+    if (result) {
+      cancelled.push(result);
+    }
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  createSeriesWithOccurrences,
+  findFutureOccurrences,
+  findOccurrencesToCancel,
+  updateFutureOccurrences,
+  cancelOccurrences
+};
@@ -0,0 +1,132 @@
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const { emit } = require('./domainEvents');
+
+// A day counts toward a streak when the user checked in to an event
+// themselves or signed in. Days are calendar days in the user's time zone and
+// weeks start on Monday.
+
+// Days a daily streak survives without activity; weekly streaks need every week
+const GRACE_DAYS = Math.max(parseInt(process.env.STREAK_GRACE_DAYS) || 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' of `date` in `timeZone`
+const localDay = (date, timeZone) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+// Whole days since 1970-01-01 for a 'YYYY-MM-DD' day
+const dayNumber = (day) => Date.parse(`${day}T00:00:00Z`) / DAY_MS;
+
+// 1970-01-01 was a Thursday, so this counts Monday-based weeks
+const weekNumber = (day) => Math.floor((dayNumber(day) + 3) / 7);
+
+const mondayOf = (day) => {
+  const monday = new Date((weekNumber(day) * 7 - 3) * DAY_MS);
+  return monday.toISOString().slice(0, 10);
+};
+
+// Current and longest run of `periods` (ascending numbers) where consecutive
+// periods are at most `maxGap` apart. `current` is the run ending at the last period.
+const summarize = (periods, maxGap) => {
+  let current = 0;
+  let longest = 0;
+  let previous = null;
+
+  for (const period of periods) {
+    current = previous !== null && period - previous <= maxGap ? current + 1 : 1;
+    longest = Math.max(longest, current);
+    previous = period;
+  }
+
+  return { current, longest };
+};
+
+// Daily and weekly streaks from a user's active days (ascending 'YYYY-MM-DD')
+const computeStreak = (days) => {
+  const weeks = [...new Set(days.map(weekNumber))];
+  const lastDay = days.length > 0 ? days[days.length - 1] : null;
+
+  return {
+    daily: { ...summarize(days.map(dayNumber), 1 + GRACE_DAYS), lastActiveDay: lastDay },
+    weekly: { ...summarize(weeks, 1), lastActiveWeek: lastDay && mondayOf(lastDay) }
+  };
+};
+
+// A user's streaks as of `now`. The stored counts are as of the last active
+// day; a streak whose allowed gap has passed since then is reported as 0.
+const getStreak = (user, now = new Date()) => {
+  const today = localDay(now, user.timezone);
+  const { daily, weekly } = user.streak;
+
+  const dailyAlive = daily.lastActiveDay &&
+    dayNumber(today) - dayNumber(daily.lastActiveDay) <= 1 + GRACE_DAYS;
+  const weeklyAlive = weekly.lastActiveWeek &&
+    weekNumber(today) - weekNumber(weekly.lastActiveWeek) <= 1;
+
+  return {
+    timezone: user.timezone,
+    graceDays: GRACE_DAYS,
+    activeToday: daily.lastActiveDay === today,
+    daily: {
+      current: dailyAlive ? daily.current : 0,
+      longest: daily.longest,
+      lastActiveDay: daily.lastActiveDay
+    },
+    weekly: {
+      current: weeklyAlive ? weekly.current : 0,
+      longest: weekly.longest,
+      lastActiveWeek: weekly.lastActiveWeek
+    }
+  };
+};
+
+// Record that `userId` was active (`type` is 'check_in' or 'login'). The first
+// activity of a day updates the stored streak and emits `activity.recorded`;
+// resolves to the handlers' results, or [] when the day was already counted.
+// Tracking is best effort: a failure is logged and never fails the caller.
+const recordActivity = async (userId, type, at = new Date()) => {
+  try {
+    const user = await User.findById(userId).select('timezone');
+    if (!user) {
+      return [];
+    }
+
+    const day = localDay(at, user.timezone);
+    const result = await Activity.updateOne(
+      { user: user._id, day },
+      { $addToSet: { types: type }, $setOnInsert: { firstAt: at } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return [];
+    }
+
+    // Recomputed from every active day, so days recorded out of order still count
+    const days = (await Activity.distinct('day', { user: user._id })).sort();
+    await User.updateOne({ _id: user._id }, { $set: { streak: computeStreak(days) } });
+
+    return await emit('activity.recorded', { userId: user._id, type, day });
+  } catch (error) {
+    // Two requests raced to record the same day; the other one counts it
+    if (error.code === 11000) {
+      return [];
+    }
+    console.error(`Activity could not be recorded for user ${userId}:`, error.message);
+    return [];
+  }
+};
+
+module.exports = {
+  GRACE_DAYS,
+  localDay,
+  computeStreak,
+  getStreak,
+  recordActivity
+};
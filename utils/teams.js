@@ -0,0 +1,285 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { AppError } = require('../middleware/errorHandler');
+const { runAtomically } = require('./transaction');
+const { creditAttendance } = require('./participation');
+const { notifyUser } = require('./notifications');
+
+// Team changes touch both the Team and the Event (every member holds a seat),
+// so each one re-reads both and saves them together inside runAtomically.
+
+const loadTeamEvent = async (eventId, session) => {
+  const event = await Event.findById(eventId).session(session);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  if (!event.teamSettings.enabled) {
+    throw new AppError('This event is not a team event', 400);
+  }
+  return event;
+};
+
+const loadActiveTeam = async (teamId, session) => {
+  const team = await Team.findById(teamId).session(session);
+  if (!team || team.status !== 'active') {
+    throw new AppError('Team not found', 404);
+  }
+  return team;
+};
+
+const assertRosterOpen = (event) => {
+  if (event.isRosterLocked()) {
+    throw new AppError('Team rosters for this event are locked', 400);
+  }
+};
+
+// Give `user` a seat on the event as a member of `team`
+const addMember = (event, team, user) => {
+  const { maxSize } = event.teamSettings;
+  if (maxSize && team.members.length >= maxSize) {
+    throw new AppError('Team is full', 400);
+  }
+
+  const { allowed, message, ...details } = event.canParticipate(user);
+  if (!allowed) {
+    throw new AppError(message, 400, details);
+  }
+
+  team.members.push({ user: user._id });
+  event.participants.push({ userId: user._id, team: team._id });
+};
+
+// Take `userId` off the team and free their seat
+const removeMember = (event, team, userId) => {
+  const participant = event.getParticipant(userId);
+  if (participant && participant.status !== 'registered') {
+    throw new AppError('Attendance has already been recorded for this member', 400);
+  }
+
+  if (participant) {
+    participant.deleteOne();
+  }
+  team.members = team.members.filter(member => member.user.toString() !== userId.toString());
+};
+
+// Create a team with `captainId` as its first member
+const createTeam = async (eventId, captainId, name) => {
+  const captain = await User.findById(captainId);
+
+  return await runAtomically(async (session) => {
+    const event = await loadTeamEvent(eventId, session);
+    assertRosterOpen(event);
+
+    const nameTaken = await Team.exists({ event: event._id, name, status: 'active' }).session(session);
+    if (nameTaken) {
+      throw new AppError('A team with this name already exists for this event', 400);
+    }
+
+    const team = new Team({
+      name,
+      event: event._id,
+      captain: captain._id,
+      inviteCode: Team.generateInviteCode()
+    });
+
+    addMember(event, team, captain);
+
+    await team.save({ session });
+    await event.save({ session });
+
+    return team;
+  });
+};
+
+// Join the team an invite code belongs to
+const joinTeam = async (inviteCode, userId) => {
+  const user = await User.findById(userId);
+
+  return await runAtomically(async (session) => {
+    const team = await Team.findOne({ inviteCode: inviteCode.toUpperCase(), status: 'active' }).session(session);
+    if (!team) {
+      throw new AppError('Invalid invite code', 404);
+    }
+
+    const event = await loadTeamEvent(team.event, session);
+    assertRosterOpen(event);
+
+    addMember(event, team, user);
+
+    await team.save({ session });
+    await event.save({ session });
+
+    return team;
+  });
+};
+
+// Leave a team. The captain can't leave; they disband the team instead.
+const leaveTeam = async (teamId, userId) => {
+  return await runAtomically(async (session) => {
+    const team = await loadActiveTeam(teamId, session);
+    if (!team.isMember(userId)) {
+      throw new AppError('You are not a member of this team', 400);
+    }
+    if (team.isCaptain(userId)) {
+      throw new AppError('The captain cannot leave the team. Disband it instead', 400);
+    }
+
+    const event = await loadTeamEvent(team.event, session);
+    assertRosterOpen(event);
+
+    removeMember(event, team, userId);
+
+    await team.save({ session });
+    await event.save({ session });
+
+    return team;
+  });
+};
+
+// Captain removes a member from the team
+const kickMember = async (teamId, captainId, memberId) => {
+  return await runAtomically(async (session) => {
+    const team = await loadActiveTeam(teamId, session);
+    if (!team.isCaptain(captainId)) {
+      throw new AppError('Only the team captain can remove members', 403);
+    }
+    if (team.isCaptain(memberId)) {
+      throw new AppError('The captain cannot be removed. Disband the team instead', 400);
+    }
+    if (!team.isMember(memberId)) {
+      throw new AppError('User is not a member of this team', 400);
+    }
+
+    const event = await loadTeamEvent(team.event, session);
+    assertRosterOpen(event);
+
+    removeMember(event, team, memberId);
+
+    await team.save({ session });
+    await event.save({ session });
+
+    return team;
+  });
+};
+
+// Captain disbands the team, freeing every member's seat
+const disbandTeam = async (teamId, captainId) => {
+  return await runAtomically(async (session) => {
+    const team = await loadActiveTeam(teamId, session);
+    if (!team.isCaptain(captainId)) {
+      throw new AppError('Only the team captain can disband the team', 403);
+    }
+
+    const event = await loadTeamEvent(team.event, session);
+    assertRosterOpen(event);
+
+    const memberIds = team.members.map(member => member.user);
+    memberIds.forEach(memberId => removeMember(event, team, memberId));
+    team.status = 'disbanded';
+
+    await team.save({ session });
+    await event.save({ session });
+
+    return team;
+  });
+};
+
+// Give the team a new invite code; the old one stops working
+const regenerateInviteCode = async (teamId, captainId) => {
+  return await runAtomically(async (session) => {
+    const team = await loadActiveTeam(teamId, session);
+    if (!team.isCaptain(captainId)) {
+      throw new AppError('Only the team captain can change the invite code', 403);
+    }
+
+    team.inviteCode = Team.generateInviteCode();
+    await team.save({ session });
+
+    return team;
+  });
+};
+
+// Withdraw teams still below the minimum size once rosters are final,
+// freeing their seats. Returns how many teams were withdrawn.
+const withdrawIncompleteTeams = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || !event.teamSettings.enabled) {
+    return 0;
+  }
+
+  const teams = await Team.find({ event: event._id, status: 'active' });
+  const incomplete = teams.filter(team => team.members.length < event.teamSettings.minSize);
+
+  for (const { _id } of incomplete) {
+    const team = await runAtomically(async (session) => {
+      const team = await loadActiveTeam(_id, session);
+      const event = await Event.findById(eventId).session(session);
+
+      team.members.forEach(member => {
+        const participant = event.getParticipant(member.user);
+        if (participant && participant.status === 'registered') {
+          participant.deleteOne();
+        }
+      });
+      team.status = 'withdrawn';
+
+      await team.save({ session });
+      await event.save({ session });
+
+      return team;
+    });
+
+    for (const member of team.members) {
+      await notifyUser(member.user, {
+        type: 'team.withdrawn',
+        title: `Team withdrawn: ${event.title}`,
+        message: `Your team "${team.name}" had fewer than ${event.teamSettings.minSize} members when rosters ` +
+          `locked, so it has been withdrawn from "${event.title}".`,
+        data: { eventId: event._id, teamId: team._id }
+      });
+    }
+  }
+
+  return incomplete.length;
+};
+
+// Check in every member of a team who hasn't been credited yet
+const checkInTeam = async (teamId, { checkedInBy }) => {
+  const team = await loadActiveTeam(teamId, null);
+  const event = await loadTeamEvent(team.event, null);
+
+  const credited = [];
+  for (const member of team.members) {
+    const participant = event.getParticipant(member.user);
+    if (!participant || participant.status === 'attended') {
+      continue;
+    }
+
+    const { user, pointsEarned, newAchievements } = await creditAttendance(event._id, member.user, {
+      method: 'manual',
+      checkedInBy,
+      walkIn: true
+    });
+    credited.push({
+      userId: user._id,
+      name: user.name,
+      pointsEarned,
+      newLevel: user.level,
+      newAchievements: newAchievements.map(achievement => achievement.title)
+    });
+  }
+
+  return { team, credited };
+};
+
+module.exports = {
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  kickMember,
+  disbandTeam,
+  regenerateInviteCode,
+  withdrawIncompleteTeams,
+  checkInTeam
+};
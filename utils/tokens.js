@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { AppError } = require('../middleware/errorHandler');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 7;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are stored as SHA-256 hashes so a database leak can't be replayed
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate short-lived access token bound to a session and the user's current token version
+const generateAccessToken = (user, session) => {
+  return jwt.sign({ id: user._id, sid: session._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Short-lived token proving the password step of a two-factor login
+const generateTwoFactorToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Decode a two-factor login token, rejecting any other kind of token
+const verifyTwoFactorToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Two-factor session is invalid or has expired, please log in again', 401);
+  }
+
+  if (decoded.purpose !== '2fa') {
+    throw new AppError('Two-factor session is invalid or has expired, please log in again', 401);
+  }
+
+  return decoded;
+};
+
+// Persist a new refresh token for a session and return the raw value for the client
+const issueRefreshToken = async (user, session, req) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    session: session._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: session.expiresAt,
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return refreshToken;
+};
+
+// Start a new session (one per login) and issue its access/refresh token pair
+const issueAuthTokens = async (user, req) => {
+  const userAgent = req.get('user-agent');
+  const session = await Session.create({
+    user: user._id,
+    userAgent,
+    device: Session.describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken: await issueRefreshToken(user, session, req)
+  };
+};
+
+// Revoke a single session and its refresh tokens
+const revokeSession = async (sessionId) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+  await RefreshToken.revokeAllForSession(sessionId);
+};
+
+// Kill every session of a user: outstanding access tokens fail the version
+// check in `protect` and refresh tokens can no longer be exchanged
+const revokeUserSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  await RefreshToken.revokeAllForUser(userId);
+};
+
+// Exchange a refresh token for a new pair, revoking the old one
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshToken.findOne({ tokenHash });
+
+  if (!stored) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  // A token that was already rotated being replayed means it leaked - end all sessions
+  if (stored.revokedAt) {
+    if (stored.replacedByHash) {
+      await revokeUserSessions(stored.user);
+    }
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  if (!stored.isUsable()) {
+    throw new AppError('Refresh token expired', 401);
+  }
+
+  const session = await Session.findById(stored.session);
+  if (!session || session.revokedAt) {
+    throw new AppError('Session has been revoked', 401);
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  // Keep the session alive for another refresh period
+  session.lastSeenAt = new Date();
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  const newRefreshToken = await issueRefreshToken(user, session, req);
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: hashToken(newRefreshToken) }
+  );
+
+  if (!rotated) {
+    await revokeUserSessions(stored.user);
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  return {
+    user,
+    token: generateAccessToken(user, session),
+    refreshToken: newRefreshToken
+  };
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
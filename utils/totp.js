@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s step),
+// the defaults every standard authenticator app understands
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random 160-bit secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const timeStep = (time = Date.now(), step = STEP_SECONDS) => Math.floor(time / 1000 / step);
+
+// Current TOTP code for a secret
+const generateTotp = (secret, time = Date.now(), step = STEP_SECONDS) => generateHotp(secret, timeStep(time, step));
+
+// Verify a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step (for replay protection) or null.
+const verifyTotp = (secret, code, window = 1, time = Date.now(), step = STEP_SECONDS) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(secret, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// Key URI for authenticator apps (usually rendered as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  timeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 10;
+// Retries wait a random time up to this, doubled per attempt, so requests that
+// collided don't collide again in lockstep
+const RETRY_DELAY_MS = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Standalone servers (typical local dev) can't run transactions
+const isTransactionUnsupported = (error) => {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+};
+
+let transactionsSupported = true;
+
+// Run `work(session)` inside a MongoDB transaction. Falls back to running
+// without one (session = null) when the server doesn't support them; the
+// conditional updates used inside still keep each document consistent.
+const runInTransaction = async (work) => {
+  if (!transactionsSupported) {
+    return await work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      transactionsSupported = false;
+      return await work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Run `work(session)` atomically, retrying when an optimistic-concurrency
+// check fails because another request changed the same document first.
+// `work` must re-read everything it depends on each time it is called.
+const runAtomically = async (work) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runInTransaction(work);
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+      await sleep(Math.random() * RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
+module.exports = {
+  runInTransaction,
+  runAtomically
+};
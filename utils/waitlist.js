@@ -0,0 +1,140 @@
+const Event = require('../models/Event');
+const { notifyUser, truncate } = require('./notifications');
+const { runAtomically } = require('./transaction');
+
+const CONFIRMATION_HOURS = parseFloat(process.env.WAITLIST_CONFIRMATION_HOURS) || 24;
+
+// Event titles can use most of a notification title, so shorten them to keep the prefix readable
+const TITLE_LENGTH = 60;
+
+// The waitlist change is already saved when users are told about it, so a
+// notification that can't be stored is logged instead of failing the request
+const notify = async (userId, notification) => {
+  try {
+    await notifyUser(userId, notification);
+  } catch (error) {
+    console.error(`Waitlist notification ${notification.type} could not be sent to ${userId}:`, error.message);
+  }
+};
+
+// Drop expired offers and offer freed seats to the next people in line.
+// Mutates the event; returns the offers and expiries so the caller can
+// notify once the event has been saved.
+const promoteWaitlist = (event) => {
+  const now = new Date();
+
+  const expired = event.waitlist.filter(
+    entry => entry.offerExpiresAt && entry.offerExpiresAt <= now
+  );
+  expired.forEach(entry => entry.deleteOne());
+
+  const offered = [];
+  // Once registration has closed nobody can confirm an offer
+  if (event.isRegistrationOpen(now)) {
+    const deadline = event.getRegistrationDeadline();
+
+    for (const entry of event.waitlist) {
+      if (event.getOpenSeats() <= 0) {
+        break;
+      }
+
+      if (!entry.offeredAt) {
+        const expiresAt = new Date(now.getTime() + CONFIRMATION_HOURS * 60 * 60 * 1000);
+        entry.offeredAt = now;
+        entry.offerExpiresAt = expiresAt < deadline ? expiresAt : deadline;
+        offered.push(entry);
+      }
+    }
+  }
+
+  return {
+    offered: offered.map(entry => ({ userId: entry.userId, offerExpiresAt: entry.offerExpiresAt })),
+    expired: expired.map(entry => entry.userId)
+  };
+};
+
+// Tell promoted and expired users what happened
+const notifyWaitlistChanges = async (event, { offered, expired }) => {
+  const title = truncate(event.title, TITLE_LENGTH);
+
+  for (const offer of offered) {
+    await notify(offer.userId, {
+      type: 'waitlist.offer',
+      title: `A seat opened up: ${title}`,
+      message: `A seat is available for "${event.title}". Confirm it before ` +
+        `${offer.offerExpiresAt.toISOString()} or it will pass to the next person on the waitlist.`,
+      data: { eventId: event._id, offerExpiresAt: offer.offerExpiresAt }
+    });
+  }
+
+  for (const userId of expired) {
+    await notify(userId, {
+      type: 'waitlist.expired',
+      title: `Seat offer expired: ${title}`,
+      message: `Your seat offer for "${event.title}" was not confirmed in time and has passed to the next person.`,
+      data: { eventId: event._id }
+    });
+  }
+};
+
+// Promote and save atomically, then notify. Returns the fresh event.
+const processWaitlist = async (eventId) => {
+  const { event, changes } = await runAtomically(async (session) => {
+    const event = await Event.findById(eventId).session(session);
+    if (!event) {
+      return { event: null, changes: { offered: [], expired: [] } };
+    }
+
+    const changes = promoteWaitlist(event);
+    if (changes.offered.length > 0 || changes.expired.length > 0) {
+      await event.save({ session });
+    }
+
+    return { event, changes };
+  });
+
+  if (event) {
+    await notifyWaitlistChanges(event, changes);
+  }
+
+  return { event, changes };
+};
+
+// Clear the waitlist once registration is over and tell everyone still on it
+const closeWaitlist = async (eventId) => {
+  const { event, closed } = await runAtomically(async (session) => {
+    const event = await Event.findById(eventId).session(session);
+    if (!event || event.waitlist.length === 0) {
+      return { event, closed: [] };
+    }
+
+    const closed = event.waitlist.map(entry => entry.userId);
+    event.waitlist = [];
+    await event.save({ session });
+
+    return { event, closed };
+  });
+
+  if (closed.length === 0) {
+    return 0;
+  }
+
+  const title = truncate(event.title, TITLE_LENGTH);
+  for (const userId of closed) {
+    await notify(userId, {
+      type: 'waitlist.closed',
+      title: `Registration closed: ${title}`,
+      message: `Registration for "${event.title}" has closed and no seat became available. You have been removed from the waitlist.`,
+      data: { eventId: event._id }
+    });
+  }
+
+  return closed.length;
+};
+
+module.exports = {
+  promoteWaitlist,
+  notifyWaitlistChanges,
+  processWaitlist,
+  closeWaitlist
+};